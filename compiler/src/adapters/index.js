@@ -0,0 +1,74 @@
+/**
+ * C-slop Database Adapters
+ * Where @table queries end up: database.type in slop.json names a registered adapter or a local module
+ *
+ * An adapter is a class. The Database builds one with `new Adapter(connection, database)` and calls, awaiting each:
+ *   connect()                                  open the connection
+ *   close()                                    release it; the Database is done with the adapter
+ *   ensureTable(table, schema)                 create the table if it is missing; schema is null for undeclared tables
+ *   find(table, schema, filter, options)       records matching a filter (null: all of them), after options.order,
+ *                                              options.limit/offset and options.fields; the array carries .total (withTotal)
+ *   findById(table, schema, id, options)       one record, or null; options.fields picks its fields
+ *   aggregate(table, schema, filter, spec)     { fn, field, group } as in query.js aggregate()
+ *   insert(table, schema, row)                 store a record and return it as stored, with its new primary key
+ *   update(table, schema, id, row)             change the record and return it whole
+ *   delete(table, schema, id)                  remove the record
+ *   exists(table, schema, field, value, except)   whether a record other than primary key `except` has field = value
+ *   hasField(table, field)                     whether any record of an undeclared table has the field
+ *   begin(), commit(), rollback()              one transaction at a time; the Database keeps other queries out
+ *   query(sql, params)                         optional, for @raw: rows, or { changes, lastId }
+ *
+ * Declared tables get rows already checked and converted by prepareRow, with unique and foreign key constraints
+ * checked. Undeclared tables get the data as written. Filters and read options are the plain data query.js describes,
+ * which also has the in-memory and SQL versions of every rule.
+ */
+
+const path = require('path');
+const { MemoryAdapter } = require('./memory');
+const { SQLiteAdapter } = require('./sqlite');
+const { PostgresAdapter } = require('./postgres');
+
+const METHODS = [
+  'connect', 'close', 'ensureTable', 'find', 'findById', 'aggregate', 'insert', 'update', 'delete',
+  'exists', 'hasField', 'begin', 'commit', 'rollback'
+];
+
+const adapters = new Map([
+  ['memory', MemoryAdapter],
+  ['sqlite', SQLiteAdapter],
+  ['postgres', PostgresAdapter]
+]);
+
+/**
+ * Make `name` usable as database.type (or @:name(...)); replaces an adapter of the same name
+ */
+function registerAdapter(name, Adapter) {
+  if (typeof name !== 'string' || name === '') throw new TypeError('registerAdapter needs a name');
+  if (typeof Adapter !== 'function') throw new TypeError(`Adapter '${name}' must be a class`);
+
+  const missing = METHODS.filter(method => typeof Adapter.prototype[method] !== 'function');
+  if (missing.length) throw new TypeError(`Adapter '${name}' is missing ${missing.join(', ')}`);
+
+  adapters.set(name, Adapter);
+  return Adapter;
+}
+
+/**
+ * The adapter for a database.type: a registered name, or a path to a module exporting the adapter class
+ */
+function resolveAdapter(type, basePath = process.cwd()) {
+  if (!type) return adapters.get('memory');
+  if (adapters.has(type)) return adapters.get(type);
+
+  if (/^\.{0,2}\//.test(type)) {
+    const file = path.resolve(basePath, type);
+    return registerAdapter(type, require(file));
+  }
+
+  throw new Error(
+    `Unknown database type '${type}'; use one of ${[...adapters.keys()].join(', ')}, ` +
+    `a module path like "./db/adapter.js", or registerAdapter('${type}', Adapter)`
+  );
+}
+
+module.exports = { registerAdapter, resolveAdapter, METHODS, MemoryAdapter, SQLiteAdapter, PostgresAdapter };
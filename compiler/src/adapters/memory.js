@@ -0,0 +1,179 @@
+/**
+ * C-slop Memory Adapter
+ * Keeps every table as an array of records in the process; the same rules as SQLite
+ * Without a connection the data is gone on restart; with one it is kept in a JSON file:
+ *   "connection": "./data.json"                              saved after every change
+ *   "connection": { "file": "./data.json", "save": "exit" }  saved when the server stops
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SlopError } = require('../errors');
+const { matches, page, project, fieldList, aggregate } = require('../query');
+
+const SAVE_MODES = ['write', 'exit'];
+
+class MemoryAdapter {
+  constructor(connection, database) {
+    this.data = {}; // Records by table name
+    this.lastIds = {}; // Auto-increment counters
+    this.snapshot = null; // What a rollback goes back to
+
+    const options = typeof connection === 'string' ? { file: connection } : connection || {};
+    this.file = options.file ? path.resolve(database.basePath, options.file) : null;
+    this.saveOn = options.save || 'write';
+    this.onExit = null;
+    if (!SAVE_MODES.includes(this.saveOn)) {
+      throw new SlopError(`database.connection.save must be ${SAVE_MODES.map(mode => `"${mode}"`).join(' or ')}`);
+    }
+  }
+
+  connect() {
+    if (!this.file) {
+      console.log(`✓ Using in-memory database`);
+      return;
+    }
+
+    this.load();
+    if (this.saveOn === 'exit') this.saveOnExit();
+    console.log(`✓ Using in-memory database, saved to ${path.relative(process.cwd(), this.file) || this.file}`);
+  }
+
+  close() {
+    if (!this.file) return;
+    this.write();
+    if (this.onExit) {
+      process.removeListener('exit', this.onExit.exit);
+      process.removeListener('SIGINT', this.onExit.interrupt);
+      process.removeListener('SIGTERM', this.onExit.terminate);
+      this.onExit = null;
+    }
+  }
+
+  // A missing file is an empty database; one that can't be read stops the store rather than being overwritten
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.data = saved.data || {};
+      this.lastIds = saved.lastIds || {};
+    } catch (error) {
+      throw new SlopError(`Could not read ${this.file}: ${error.message}`);
+    }
+  }
+
+  // The whole database goes to a temporary file that then replaces the old one, so a crash never leaves half a file
+  write() {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify({ data: this.data, lastIds: this.lastIds }));
+    fs.renameSync(temp, this.file);
+  }
+
+  // After each change; a transaction's changes are written when it commits
+  changed() {
+    if (this.file && this.saveOn === 'write' && !this.snapshot) this.write();
+  }
+
+  // Ctrl+C and `cslop watch` restarts end the process with a signal, which skips 'exit' unless it is handled
+  saveOnExit() {
+    this.onExit = {
+      exit: () => this.write(),
+      interrupt: () => process.exit(130),
+      terminate: () => process.exit(143)
+    };
+    process.once('exit', this.onExit.exit);
+    process.once('SIGINT', this.onExit.interrupt);
+    process.once('SIGTERM', this.onExit.terminate);
+  }
+
+  ensureTable(tableName) {
+    this.rows(tableName);
+  }
+
+  rows(tableName) {
+    if (!this.data[tableName]) this.data[tableName] = [];
+    return this.data[tableName];
+  }
+
+  // Route params arrive as strings, ids are stored as numbers
+  indexOf(tableName, schema, id) {
+    const pk = schema ? schema.pk : 'id';
+    return this.rows(tableName).findIndex(item => item[pk] === id || item[pk] === parseInt(id));
+  }
+
+  // Auto-increment ids; never reused after a delete, or after a restart when the data is saved
+  nextId(tableName, pk = 'id') {
+    const used = this.rows(tableName).reduce((max, item) => Math.max(max, Number(item[pk]) || 0), 0);
+    const id = Math.max(this.lastIds[tableName] || 0, used) + 1;
+    this.lastIds[tableName] = id;
+    return id;
+  }
+
+  find(tableName, schema, filter, options) {
+    return page(schema, this.rows(tableName).filter(item => matches(schema, filter, item)), options);
+  }
+
+  findById(tableName, schema, id, options = {}) {
+    const record = this.rows(tableName)[this.indexOf(tableName, schema, id)];
+    return record ? project(record, fieldList(schema, options)) : null;
+  }
+
+  aggregate(tableName, schema, filter, spec) {
+    return aggregate(schema, this.rows(tableName).filter(item => matches(schema, filter, item)), spec);
+  }
+
+  insert(tableName, schema, row) {
+    if (!schema) {
+      const record = { id: this.nextId(tableName), ...row };
+      this.rows(tableName).push(record);
+      this.changed();
+      return record;
+    }
+
+    // Unset columns read back as null, as they do from SQLite
+    const record = {};
+    for (const name of Object.keys(schema.columns)) record[name] = row[name] === undefined ? null : row[name];
+    if (record[schema.pk] === null) record[schema.pk] = this.nextId(tableName, schema.pk);
+    this.rows(tableName).push(record);
+    this.changed();
+    return record;
+  }
+
+  update(tableName, schema, id, row) {
+    const rows = this.rows(tableName);
+    const index = this.indexOf(tableName, schema, id);
+    rows[index] = { ...rows[index], ...row };
+    this.changed();
+    return rows[index];
+  }
+
+  delete(tableName, schema, id) {
+    this.rows(tableName).splice(this.indexOf(tableName, schema, id), 1);
+    this.changed();
+  }
+
+  exists(tableName, schema, field, value, except = null) {
+    const pk = schema ? schema.pk : 'id';
+    return this.rows(tableName).some(item => item[field] === value && (except === null || item[pk] !== except));
+  }
+
+  hasField(tableName, field) {
+    return this.rows(tableName).some(row => row[field] !== undefined);
+  }
+
+  begin() {
+    this.snapshot = { data: structuredClone(this.data), lastIds: { ...this.lastIds } };
+  }
+
+  commit() {
+    this.snapshot = null;
+    this.changed();
+  }
+
+  rollback() {
+    Object.assign(this, this.snapshot, { snapshot: null });
+  }
+}
+
+module.exports = { MemoryAdapter };
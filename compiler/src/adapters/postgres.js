@@ -0,0 +1,178 @@
+/**
+ * C-slop PostgreSQL Adapter
+ * The SQL adapter on pg, with PostgreSQL's dialect; undeclared tables keep their records as JSONB
+ */
+
+const { SlopError, UniqueViolation, ForeignKeyViolation, BadRequest } = require('../errors');
+const { quote } = require('../schema');
+const { aggregate, BLOB_COLUMNS } = require('../query');
+const { SQLAdapter } = require('./sql');
+
+// Where PostgreSQL's SQL differs from SQLite's (see query.js)
+const DIALECT = {
+  types: {
+    int: 'INTEGER',
+    float: 'DOUBLE PRECISION',
+    decimal: 'NUMERIC',
+    str: 'TEXT',
+    text: 'TEXT',
+    bool: 'BOOLEAN',
+    time: 'BIGINT',
+    json: 'JSONB',
+    enum: 'TEXT'
+  },
+  autoKey: 'SERIAL PRIMARY KEY',
+  createdAt: 'TIMESTAMPTZ',
+  now: '(CAST(EXTRACT(EPOCH FROM CURRENT_TIMESTAMP) * 1000 AS BIGINT))',
+  nullFailsCheck: false,
+  defaultValues: pk => `(${quote(pk)}) VALUES (DEFAULT)`,
+  bool: value => value,
+  jsonKey: field => field,
+  // pg parses JSONB itself
+  fromJSON: value => value,
+  // created_at as SQLite writes it, in UTC
+  fromTimestamp: value => (value instanceof Date ? value.toISOString().slice(0, 19).replace('T', ' ') : value),
+  // JSON null reads as NULL, like a field that isn't there
+  blobField(field, params, text) {
+    params.push(this.jsonKey(field));
+    return text ? `("data" ->> ?)` : `NULLIF("data" -> ?, 'null')`;
+  },
+  blobValue: value => JSON.stringify(value),
+  text: sql => `CAST(${sql} AS TEXT)`,
+  // Patterns written with like match their backslashes as they do in SQLite
+  like: (sql, escaped) => `${sql} ILIKE ? ESCAPE '${escaped ? '\\' : ''}'`,
+  noLimit: null,
+  // Text sorts by code point whatever the database's locale
+  collate: ' COLLATE "C"',
+  order(schema, field, params, descending) {
+    const direction = descending ? 'DESC NULLS LAST' : 'ASC NULLS FIRST';
+    if (schema || BLOB_COLUMNS.includes(field)) {
+      const column = schema && schema.columns[field];
+      const text = column && ['str', 'text', 'enum'].includes(column.type);
+      return `${quote(field)}${text ? this.collate : ''} ${direction}`;
+    }
+
+    // JSON values sort as in memory: null, then numbers and booleans (as 0 and 1) by value, then the rest as text
+    const type = () => `jsonb_typeof(${this.blobField(field, params)})`;
+    const text = () => this.blobField(field, params, true);
+    return [
+      `CASE WHEN ${type()} IS NULL THEN 0 WHEN ${type()} IN ('number', 'boolean') THEN 1 ELSE 2 END ${direction}`,
+      `CASE ${type()} WHEN 'number' THEN CAST(${text()} AS DOUBLE PRECISION) ` +
+        `WHEN 'boolean' THEN CAST(${text()} = 'true' AS INTEGER) END ${direction}`,
+      `${text()}${this.collate} ${direction}`
+    ].join(', ');
+  },
+  rowOrder: schema => quote(schema ? schema.pk : 'id'),
+  aggregate: (fn, sql) => (fn === 'sum' ? `COALESCE(SUM(${sql}), 0)` : `${fn.toUpperCase()}(${sql})`),
+  groupKey: name => quote(name)
+};
+
+class PostgresAdapter extends SQLAdapter {
+  constructor(connection, database) {
+    super(connection, database, DIALECT);
+    this.client = null;
+  }
+
+  /**
+   * The client queries go through: one connection, since the Database already runs one transaction at a time
+   * `connection` is a connection string or pg's client options; a subclass can return another client, such as pg-mem's
+   */
+  createClient() {
+    const { Client } = require('pg');
+    return new Client(typeof this.connection === 'string' ? { connectionString: this.connection } : this.connection);
+  }
+
+  async connect() {
+    this.client = this.createClient();
+    await this.client.connect();
+    console.log(`✓ PostgreSQL database connected`);
+  }
+
+  async close() {
+    await this.client.end();
+  }
+
+  // Queries are written with ? placeholders, as for SQLite, and numbered here
+  async all(sql, params) {
+    try {
+      return (await this.client.query(numbered(sql), params)).rows;
+    } catch (error) {
+      throw sqlError(error);
+    }
+  }
+
+  async columnNames(tableName) {
+    const rows = await this.all(
+      'SELECT column_name FROM information_schema.columns WHERE table_name = ? AND table_schema = current_schema()',
+      [tableName]
+    );
+    return rows.map(column => column.column_name);
+  }
+
+  // Undeclared tables are aggregated in memory, since PostgreSQL can't add up or compare JSON values
+  async aggregate(tableName, schema, filter, spec) {
+    if (!schema) return aggregate(null, await this.find(tableName, null, filter), spec);
+    return super.aggregate(tableName, schema, filter, spec);
+  }
+
+  async insert(tableName, schema, row) {
+    const record = await super.insert(tableName, schema, row);
+    if (schema && schema.columns[schema.pk].auto && row[schema.pk] !== undefined) await this.skipId(tableName, schema.pk);
+    return record;
+  }
+
+  // After a record is stored with its own id, move the id sequence past it, as SQLite's AUTOINCREMENT does
+  async skipId(tableName, pk) {
+    try {
+      await this.all(
+        `SELECT setval(pg_get_serial_sequence(?, ?), (SELECT MAX(${quote(pk)}) FROM ${quote(tableName)}))`,
+        [quote(tableName), pk]
+      );
+    } catch {
+      // pg-mem has no pg_get_serial_sequence(), so there the sequence stays where it is
+    }
+  }
+
+  /**
+   * @raw(sql, params): the rows of a query that returns rows, { changes, lastId } for anything else
+   * `params` fill $1, $2, ... in order; PostgreSQL has no last insert id, so lastId is null (use RETURNING)
+   */
+  async query(sql, params = []) {
+    if (!Array.isArray(params)) throw new SlopError('@raw on PostgreSQL takes its parameters as a list, for $1, $2, ...');
+
+    let result;
+    try {
+      result = await this.client.query(sql, params.map(bindValue));
+    } catch (error) {
+      throw sqlError(error);
+    }
+    if (result.command === 'SELECT' || (result.fields || []).length || result.rows.length) return result.rows;
+    return { changes: result.rowCount, lastId: null };
+  }
+}
+
+// ? placeholders -> $1, $2, ...; quoted names and strings are left alone
+function numbered(sql) {
+  let count = 0;
+  return sql.replace(/("(?:[^"]|"")*"|'(?:[^']|'')*')|\?/g, (match, quoted) => quoted || `$${++count}`);
+}
+
+// PostgreSQL's constraint errors, as the named errors the memory store throws
+function sqlError(error) {
+  if (error.code === '23505') {
+    const column = /Key \("?(.+?)"?\)=/.exec(error.detail || '');
+    return new UniqueViolation(column && error.table ? `${error.table}.${column[1]} must be unique` : error.message);
+  }
+  if (error.code === '23503') return new ForeignKeyViolation();
+  if (error.code === '23502' || error.code === '23514') return new BadRequest(error.message);
+  return error;
+}
+
+// @raw parameters as PostgreSQL takes them; objects and arrays go as JSON
+function bindValue(value) {
+  if (value === undefined) return null;
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+module.exports = { PostgresAdapter, DIALECT };
@@ -0,0 +1,200 @@
+/**
+ * C-slop SQL Adapter
+ * What the SQLite and PostgreSQL adapters share: declared tables get one typed column per field, undeclared ones keep
+ * each record as JSON in a data column. The dialect (see query.js) says where their SQL differs; a subclass runs it:
+ *   all(sql, params)        the rows of a statement written with ? placeholders ([] for one that returns none),
+ *                           throwing constraint errors as the named errors the memory store throws
+ *   columnNames(table)      the columns a table has, none when it doesn't exist
+ *   connect(), close(), query(sql, params)   as adapters/index.js describes them
+ */
+
+const { quote, createTableSQL, blobTableSQL, toSQL, fromSQL } = require('../schema');
+const {
+  whereSQL, pageSQL, orderSQL, fieldList, withTotal, aggregateSQL, aggregateResult, BLOB_COLUMNS
+} = require('../query');
+
+class SQLAdapter {
+  constructor(connection, database, dialect) {
+    this.connection = connection;
+    this.schemas = database.schemas;
+    this.dialect = dialect;
+  }
+
+  async ensureTable(tableName, schema) {
+    const existing = await this.columnNames(tableName);
+
+    if (existing.length) {
+      const missing = schema ? Object.keys(schema.columns).filter(name => !existing.includes(name)) : [];
+      if (missing.length) this.warnMissing(tableName, missing);
+      return;
+    }
+
+    await this.all(schema ? createTableSQL(this.schemas, schema, this.dialect) : blobTableSQL(tableName, this.dialect), []);
+  }
+
+  // Tables are only created here, never changed
+  warnMissing(tableName, missing) {
+    console.warn(`⚠ Table ${tableName} is missing declared columns: ${missing.join(', ')}`);
+  }
+
+  // How many rows match a WHERE clause from whereSQL, whatever the limit/offset
+  async countRows(table, where) {
+    return Number((await this.all(`SELECT COUNT(*) AS total FROM ${table}${where.sql}`, where.params))[0].total);
+  }
+
+  // Declared tables read their columns; undeclared ones read picked fields out of the JSON one by one
+  // (-> keeps their JSON type), missing ones as null
+  columns(schema, fields) {
+    if (schema) {
+      return {
+        sql: fields ? fields.map(quote).join(', ') : '*',
+        params: [],
+        read: row => fromSQL(schema, row, this.dialect, fields || undefined)
+      };
+    }
+    if (!fields) {
+      return {
+        sql: '*',
+        params: [],
+        read: row => ({ id: row.id, ...this.dialect.fromJSON(row.data), created_at: this.dialect.fromTimestamp(row.created_at) })
+      };
+    }
+    return {
+      sql: fields.map(field => (BLOB_COLUMNS.includes(field) ? quote(field) : `"data" -> ? AS ${quote(field)}`)).join(', '),
+      params: fields.filter(field => !BLOB_COLUMNS.includes(field)).map(field => this.dialect.jsonKey(field)),
+      read: row => Object.fromEntries(fields.map(field => [field, this.readField(field, row[field])]))
+    };
+  }
+
+  readField(field, value) {
+    if (field === 'created_at') return this.dialect.fromTimestamp(value);
+    if (value === null || value === undefined) return null;
+    return field === 'id' ? value : this.dialect.fromJSON(value);
+  }
+
+  // Filters look inside undeclared tables' JSON, so only matching rows are read
+  async find(tableName, schema, filter, options = {}) {
+    const table = quote(tableName);
+    const picked = this.columns(schema, fieldList(schema, options));
+    const where = whereSQL(schema, filter, this.dialect);
+    const order = orderSQL(schema, options, this.dialect);
+    const limit = pageSQL(options, this.dialect);
+    const rows = await this.all(
+      `SELECT ${picked.sql} FROM ${table}${where.sql}${order.sql}${limit.sql}`,
+      [...picked.params, ...where.params, ...order.params, ...limit.params]
+    );
+    return withTotal(rows.map(picked.read), limit.sql ? await this.countRows(table, where) : rows.length);
+  }
+
+  async findById(tableName, schema, id, options = {}) {
+    const picked = this.columns(schema, fieldList(schema, options));
+    const pk = schema ? schema.pk : 'id';
+    const value = key(schema, id);
+    if (value === null) return null;
+    const rows = await this.all(`SELECT ${picked.sql} FROM ${quote(tableName)} WHERE ${quote(pk)} = ?`, [...picked.params, value]);
+    return rows.length ? picked.read(rows[0]) : null;
+  }
+
+  async aggregate(tableName, schema, filter, spec) {
+    const select = aggregateSQL(schema, spec, this.dialect);
+    const where = whereSQL(schema, filter, this.dialect);
+    const rows = await this.all(
+      `SELECT ${select.sql} FROM ${quote(tableName)}${where.sql}${select.groupSQL}`,
+      [...select.params, ...where.params]
+    );
+    // COUNT, SUM and AVG can come back as numeric strings
+    const numeric = spec.fn !== 'min' && spec.fn !== 'max';
+    return aggregateResult(schema, spec, numeric ? rows.map(row => ({ ...row, $value: number(row.$value) })) : rows, this.dialect);
+  }
+
+  async insert(tableName, schema, row) {
+    const table = quote(tableName);
+    if (!schema) {
+      const [stored] = await this.all(`INSERT INTO ${table} (data) VALUES (?) RETURNING id`, [JSON.stringify(row)]);
+      return { id: stored.id, ...row };
+    }
+
+    const names = Object.keys(row);
+    const [stored] = names.length
+      ? await this.all(`INSERT INTO ${table} (${names.map(quote).join(', ')}) VALUES (${names.map(() => '?').join(', ')}) RETURNING *`, this.values(schema, row))
+      : await this.all(`INSERT INTO ${table} ${this.dialect.defaultValues(schema.pk)} RETURNING *`, []);
+    return fromSQL(schema, stored, this.dialect);
+  }
+
+  async update(tableName, schema, id, row) {
+    const table = quote(tableName);
+    if (!schema) {
+      const updated = { ...(await this.findById(tableName, null, id)), ...row };
+      delete updated.id;
+      delete updated.created_at;
+      await this.all(`UPDATE ${table} SET data = ? WHERE id = ?`, [JSON.stringify(updated), id]);
+      return { id, ...updated };
+    }
+
+    const names = Object.keys(row);
+    if (!names.length) return this.findById(tableName, schema, id);
+    const [stored] = await this.all(
+      `UPDATE ${table} SET ${names.map(name => `${quote(name)} = ?`).join(', ')} WHERE ${quote(schema.pk)} = ? RETURNING *`,
+      [...this.values(schema, row), id]
+    );
+    return fromSQL(schema, stored, this.dialect);
+  }
+
+  async delete(tableName, schema, id) {
+    await this.all(`DELETE FROM ${quote(tableName)} WHERE ${quote(schema ? schema.pk : 'id')} = ?`, [id]);
+  }
+
+  async exists(tableName, schema, field, value, except = null) {
+    const pk = schema ? schema.pk : 'id';
+    const params = [];
+    let column = quote(field);
+    let stored = value;
+    if (schema && schema.columns[field]) {
+      stored = toSQL(schema.columns[field], value, this.dialect);
+    } else if (!schema && !BLOB_COLUMNS.includes(field)) {
+      column = this.dialect.blobField(field, params);
+      stored = this.dialect.blobValue(value);
+    }
+    params.push(stored);
+    if (except !== null) params.push(except);
+    const exclude = except === null ? '' : ` AND ${quote(pk)} <> ?`;
+    const rows = await this.all(`SELECT 1 FROM ${quote(tableName)} WHERE ${column} = ?${exclude} LIMIT 1`, params);
+    return rows.length > 0;
+  }
+
+  async hasField(tableName, field) {
+    const rows = await this.all(`SELECT 1 FROM ${quote(tableName)} WHERE "data" -> ? IS NOT NULL LIMIT 1`, [this.dialect.jsonKey(field)]);
+    return rows.length > 0;
+  }
+
+  // Table methods are async, so the transaction is opened and closed with plain statements
+  async begin() {
+    await this.all('BEGIN', []);
+  }
+
+  async commit() {
+    await this.all('COMMIT', []);
+  }
+
+  async rollback() {
+    await this.all('ROLLBACK', []);
+  }
+
+  // Values as the declared columns store them
+  values(schema, row) {
+    return Object.keys(row).map(name => toSQL(schema.columns[name], row[name], this.dialect));
+  }
+}
+
+function number(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+// A route param that isn't an integer matches no integer key, as in SQLite, instead of failing the query
+function key(schema, id) {
+  if (schema && schema.columns[schema.pk].type !== 'int') return id;
+  const number = typeof id === 'string' && /^-?\d+$/.test(id) ? Number(id) : id;
+  return Number.isInteger(number) ? number : null;
+}
+
+module.exports = { SQLAdapter };
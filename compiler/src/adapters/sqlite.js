@@ -0,0 +1,95 @@
+/**
+ * C-slop SQLite Adapter
+ * The SQL adapter on better-sqlite3, with SQLite's dialect from query.js
+ */
+
+const { UniqueViolation, ForeignKeyViolation, BadRequest } = require('../errors');
+const { quote } = require('../schema');
+const { SQLITE } = require('../query');
+const { SQLAdapter } = require('./sql');
+
+class SQLiteAdapter extends SQLAdapter {
+  constructor(connection, database) {
+    super(connection, database, SQLITE);
+    this.db = null;
+  }
+
+  connect() {
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.connection);
+    console.log(`✓ SQLite database connected: ${this.connection}`);
+    // Tables are created as they're used; SQLite only enforces foreign keys when asked
+    this.db.pragma('foreign_keys = ON');
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  all(sql, params) {
+    try {
+      const statement = this.db.prepare(sql);
+      if (statement.reader) return statement.all(...params);
+      statement.run(...params);
+      return [];
+    } catch (error) {
+      throw sqlError(error);
+    }
+  }
+
+  columnNames(tableName) {
+    return this.all(`PRAGMA table_info(${quote(tableName)})`, []).map(column => column.name);
+  }
+
+  warnMissing(tableName, missing) {
+    console.warn(`⚠ Table ${tableName} is missing declared columns: ${missing.join(', ')} (see cslop migrate)`);
+  }
+
+  // better-sqlite3's db.transaction() can't wrap async table methods, so BEGIN and COMMIT come from SQLAdapter;
+  // a failed statement may have rolled the transaction back already
+  rollback() {
+    if (this.db.inTransaction) this.db.exec('ROLLBACK');
+  }
+
+  /**
+   * @raw(sql, params): the rows of a query that returns rows, { changes, lastId } for anything else
+   * `params` fill ? placeholders in order, or :name placeholders from an object
+   */
+  query(sql, params = []) {
+    const bound = Array.isArray(params)
+      ? params.map(bindValue)
+      : Object.fromEntries(Object.entries(params || {}).map(([name, value]) => [name, bindValue(value)]));
+
+    try {
+      const statement = this.db.prepare(sql);
+      if (statement.reader) return statement.all(bound);
+      const result = statement.run(bound);
+      return { changes: result.changes, lastId: Number(result.lastInsertRowid) };
+    } catch (error) {
+      throw sqlError(error);
+    }
+  }
+}
+
+// SQLite's own constraint errors, as the named errors the memory store throws
+function sqlError(error) {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+    return new UniqueViolation(`${error.message.replace(/^UNIQUE constraint failed: /, '')} must be unique`);
+  }
+  if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') return new ForeignKeyViolation();
+  if (error.code === 'SQLITE_CONSTRAINT_NOTNULL' || error.code === 'SQLITE_CONSTRAINT_CHECK') {
+    return new BadRequest(error.message);
+  }
+  return error;
+}
+
+// @raw parameters as SQLite stores them: booleans as 0/1, times as milliseconds, objects as JSON
+function bindValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return Number(value);
+  if (value instanceof Date) return value.getTime();
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+module.exports = { SQLiteAdapter };
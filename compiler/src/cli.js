@@ -2,8 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const { compile } = require('./compiler');
-const { createRuntime } = require('./runtime');
+const { Compiler, check } = require('./compiler');
+const { runFile, runProject, serverFiles, importGraph, declaredTables } = require('./loader');
 const { spawn } = require('child_process');
 const http = require('http');
 
@@ -18,6 +18,8 @@ if (args.length === 0) {
   console.log('  cslop watch              Start with hot reload (like Vite)');
   console.log('  cslop <file.slop>        Run a .slop file');
   console.log('  cslop build <file.slop>  Compile to JavaScript');
+  console.log('  cslop check [file.slop]  Report errors and warnings without running');
+  console.log('  cslop migrate <command>  generate [name] | up | down [count] | status');
   console.log('');
   console.log('Project structure:');
   console.log('  slop.json                Config file');
@@ -149,9 +151,15 @@ if (command === 'start') {
   console.log('C-slop Starting...');
   console.log('');
 
-  // Find API file
-  const apiFile = fs.readdirSync(cwd).find(f => f.endsWith('.slop'));
-  if (!apiFile) {
+  // Find the backend files: server.entry and server.routes in slop.json
+  let backend;
+  try {
+    backend = serverFiles(cwd, config);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (!backend.entry) {
     console.error('Error: No .slop file found in current directory');
     process.exit(1);
   }
@@ -168,33 +176,19 @@ if (command === 'start') {
           compiled.forEach(name => console.log(`  ✓ ${name}.ui`));
         }
         console.log('');
-        runBackend(path.join(cwd, apiFile));
+        runBackend();
       })
       .catch(err => {
         console.error('Frontend compilation error:', err.message);
         process.exit(1);
       });
   } else {
-    runBackend(path.join(cwd, apiFile));
+    runBackend();
   }
 
-  function runBackend(fullPath) {
-    const code = fs.readFileSync(fullPath, 'utf8');
-
+  function runBackend() {
     try {
-      const compiled = compile(code, {
-        filename: path.basename(fullPath),
-        basePath: path.dirname(fullPath)
-      });
-
-      const runtime = createRuntime({
-        basePath: path.dirname(fullPath)
-      });
-
-      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-      const fn = new AsyncFunction('runtime', 'require', '__dirname', '__filename', compiled);
-
-      fn(runtime, require, path.dirname(fullPath), fullPath).catch(err => {
+      runProject(cwd, config).catch(err => {
         console.error('Runtime error:', err);
         process.exit(1);
       });
@@ -222,9 +216,15 @@ if (command === 'start') {
   const publicDir = path.join(cwd, config.server?.static || 'dist');
   const wsPort = 35729; // Live reload WebSocket port
 
-  // Find API file
-  const apiFile = fs.readdirSync(cwd).find(f => f.endsWith('.slop'));
-  if (!apiFile) {
+  // Find the backend files: server.entry and server.routes in slop.json
+  let backend;
+  try {
+    backend = serverFiles(cwd, config);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (!backend.entry) {
     console.error('Error: No .slop file found in current directory');
     process.exit(1);
   }
@@ -319,32 +319,17 @@ if (command === 'start') {
   let serverProcess = null;
 
   function startServer() {
-    const apiPath = path.join(cwd, apiFile);
-
-    // Create a temporary runner script
+    // Create a temporary runner script; slop.json is read again so route changes apply on restart
     const runnerCode = `
-const { compile } = require('./compiler');
-const { createRuntime } = require('./runtime');
 const fs = require('fs');
 const path = require('path');
+const { runProject } = require('./loader');
 
-const fullPath = '${apiPath.replace(/\\/g, '\\\\')}';
-const code = fs.readFileSync(fullPath, 'utf8');
+const root = '${cwd.replace(/\\/g, '\\\\')}';
 
 try {
-  const compiled = compile(code, {
-    filename: path.basename(fullPath),
-    basePath: path.dirname(fullPath)
-  });
-
-  const runtime = createRuntime({
-    basePath: path.dirname(fullPath)
-  });
-
-  const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-  const fn = new AsyncFunction('runtime', 'require', '__dirname', '__filename', compiled);
-
-  fn(runtime, require, path.dirname(fullPath), fullPath).catch(err => {
+  const config = JSON.parse(fs.readFileSync(path.join(root, 'slop.json'), 'utf8'));
+  runProject(root, config).catch(err => {
     console.error('Runtime error:', err);
     process.exit(1);
   });
@@ -405,35 +390,53 @@ try {
     });
   }
 
-  // Watch .slop files
+  // Watch .slop files, plus every .slop file the API imports wherever it lives
+  const watchedFiles = new Set();
+
   function watchBackend() {
-    console.log(`  \x1b[34m◉\x1b[0m Watching: *.slop`);
+    console.log(`  \x1b[34m◉\x1b[0m Watching: *.slop and imported .slop files`);
 
-    const slopFiles = fs.readdirSync(cwd).filter(f => f.endsWith('.slop'));
+    const slopFiles = fs.readdirSync(cwd).filter(f => f.endsWith('.slop')).map(f => path.join(cwd, f));
+    [...slopFiles, ...backendFiles()].forEach(watchSlopFile);
+  }
 
-    slopFiles.forEach(file => {
-      const filePath = path.join(cwd, file);
-      fs.watch(filePath, { persistent: true }, async (eventType) => {
-        if (eventType === 'change') {
-          console.log(`  \x1b[33m↻\x1b[0m ${file} changed`);
+  // Entry, route files and everything they import, as slop.json describes them now
+  function backendFiles() {
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const { entry, routes } = serverFiles(cwd, config);
+      return [entry, ...routes.map(route => route.file)].filter(Boolean).flatMap(importGraph);
+    } catch {
+      return [];
+    }
+  }
 
-          // If router.slop changed, recompile it
-          if (file === 'router.slop') {
-            try {
-              await compileRouter();
-              console.log(`  \x1b[32m✓\x1b[0m Compiled router.slop`);
-              notifyClients('reload', file);
-            } catch (err) {
-              console.log(`  \x1b[31m✗\x1b[0m router.slop: ${err.message}`);
-            }
-          } else {
-            // Backend API file changed - restart server
-            restartServer();
-            // Also notify clients to reload (API might have changed)
-            setTimeout(() => notifyClients('reload', file), 500);
+  function watchSlopFile(filePath) {
+    if (watchedFiles.has(filePath)) return;
+    watchedFiles.add(filePath);
+
+    const file = path.relative(cwd, filePath);
+    fs.watch(filePath, { persistent: true }, async (eventType) => {
+      if (eventType === 'change') {
+        console.log(`  \x1b[33m↻\x1b[0m ${file} changed`);
+
+        // If router.slop changed, recompile it
+        if (file === 'router.slop') {
+          try {
+            await compileRouter();
+            console.log(`  \x1b[32m✓\x1b[0m Compiled router.slop`);
+            notifyClients('reload', file);
+          } catch (err) {
+            console.log(`  \x1b[31m✗\x1b[0m router.slop: ${err.message}`);
           }
+        } else {
+          // Backend file changed - pick up any new imports, then restart server
+          backendFiles().forEach(watchSlopFile);
+          restartServer();
+          // Also notify clients to reload (API might have changed)
+          setTimeout(() => notifyClients('reload', file), 500);
         }
-      });
+      }
     });
   }
 
@@ -623,11 +626,13 @@ try {
   const slopJson = {
     name: projectName,
     database: {
-      type: 'memory'
+      type: 'memory',
+      connection: './data.json'
     },
     server: {
       port: 3000,
-      static: './dist'
+      static: './dist',
+      entry: 'api.slop'
     },
     theme: {
       light: {
@@ -806,6 +811,7 @@ cslop create <name>    # Create new project
 cslop watch            # Dev server with hot reload
 cslop start            # Production server
 cslop build <file>     # Compile .slop to JS
+cslop check [file]     # Report errors and warnings
 \`\`\`
 
 ---
@@ -1039,11 +1045,12 @@ h1["User: @{$route.params.id}"]
   "name": "my-app",
   "database": {
     "type": "memory",
-    "connection": "./app.db"
+    "connection": "./data.json"
   },
   "server": {
     "port": 3000,
-    "static": "./dist"
+    "static": "./dist",
+    "entry": "api.slop"
   },
   "theme": {
     "light": {
@@ -1245,6 +1252,7 @@ $loading:true
   const gitignore = `node_modules/
 dist/
 *.db
+data.json
 .DS_Store
 `;
   fs.writeFileSync(path.join(projectPath, '.gitignore'), gitignore);
@@ -1260,10 +1268,141 @@ dist/
   console.log('  Then open http://localhost:3000 in your browser');
   console.log('');
 
+} else if (command === 'check') {
+  // Check mode: cslop check [file.slop]
+  // Validates backend .slop files and exits non-zero on errors
+  // Without a file it checks what `cslop` would run: server.entry, server.routes and the files they import
+  const cwd = process.cwd();
+  let files;
+  const modules = new Set();
+  if (args[1]) {
+    files = [args[1]];
+  } else {
+    const configPath = path.join(cwd, 'slop.json');
+    try {
+      const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+      const { entry, routes } = serverFiles(cwd, config);
+      const roots = [entry, ...routes.map(route => route.file)].filter(Boolean);
+      files = [];
+      for (const file of roots.flatMap(importGraph)) {
+        const relative = path.relative(cwd, file);
+        if (files.includes(relative)) continue;
+        files.push(relative);
+        if (!roots.includes(file)) modules.add(relative);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (files.length === 0) {
+    console.error('Error: No .slop file found in current directory');
+    process.exit(1);
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  const tables = declaredTables(files.map(file => path.resolve(cwd, file)).flatMap(importGraph));
+
+  for (const file of files) {
+    const fullPath = path.resolve(cwd, file);
+
+    if (!fs.existsSync(fullPath)) {
+      console.error(`Error: File not found: ${file}`);
+      process.exit(1);
+    }
+
+    const diagnostics = check(fs.readFileSync(fullPath, 'utf8'), {
+      filename: file,
+      basePath: path.dirname(fullPath),
+      module: modules.has(file),
+      tables
+    });
+
+    for (const diagnostic of diagnostics.list) {
+      console.error(diagnostics.format(diagnostic));
+      console.error('');
+    }
+
+    errorCount += diagnostics.errors.length;
+    warningCount += diagnostics.warnings.length;
+
+    if (diagnostics.list.length === 0) {
+      console.log(`  \x1b[32m✓\x1b[0m ${file}`);
+    }
+  }
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  console.log(`${plural(errorCount, 'error')}, ${plural(warningCount, 'warning')}`);
+  process.exit(errorCount > 0 ? 1 : 0);
+
+} else if (command === 'migrate') {
+  // Migrate mode: cslop migrate generate [name] | up | down [count] | status
+  // Compares the @table schemas with the SQLite database from slop.json
+  const { createMigrator } = require('./migrate');
+  const cwd = process.cwd();
+  const configPath = path.join(cwd, 'slop.json');
+  const action = args[1] || 'status';
+
+  if (!fs.existsSync(configPath)) {
+    console.error('Error: slop.json not found in current directory');
+    process.exit(1);
+  }
+
+  try {
+    const migrator = createMigrator(cwd, JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    const relativeDir = path.relative(cwd, migrator.dir) || '.';
+
+    if (action === 'generate') {
+      const result = migrator.generate(args[2]);
+      if (!result) {
+        console.log('Schema is up to date, nothing to generate');
+      } else {
+        result.changes.forEach(change => console.log(`  ${change.action} ${change.table}`));
+        result.changes.flatMap(change => change.notes).forEach(note => console.log(`  \x1b[33m⚠\x1b[0m ${note}`));
+        console.log(`Wrote ${relativeDir}/${result.name}.sql`);
+      }
+
+    } else if (action === 'up') {
+      const applied = migrator.up();
+      applied.forEach(name => console.log(`  \x1b[32m✓\x1b[0m ${name}`));
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+
+    } else if (action === 'down') {
+      const count = args[2] ? parseInt(args[2], 10) : 1;
+      if (!(count > 0)) throw new Error(`Expected a number of migrations to roll back, got '${args[2]}'`);
+      const rolledBack = migrator.down(count);
+      rolledBack.forEach(name => console.log(`  \x1b[33m↺\x1b[0m ${name}`));
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'No applied migrations');
+
+    } else if (action === 'status') {
+      const { migrations, changes } = migrator.status();
+      if (!migrations.length) console.log(`No migrations in ${relativeDir}/`);
+      for (const migration of migrations) {
+        const mark = migration.applied ? '\x1b[32m✓\x1b[0m' : '\x1b[33m…\x1b[0m';
+        const suffix = migration.missing ? ' (file missing)' : migration.applied ? '' : ' (pending)';
+        console.log(`  ${mark} ${migration.name}${suffix}`);
+      }
+      if (changes && changes.length) {
+        console.log(`Schema changes without a migration: ${changes.map(change => `${change.action} ${change.table}`).join(', ')}`);
+        console.log('Run cslop migrate generate to write one');
+      } else if (changes) {
+        console.log('Schema matches the database');
+      }
+
+    } else {
+      throw new Error(`Unknown migrate command '${action}' (generate, up, down, status)`);
+    }
+
+  } catch (error) {
+    console.error(`Migration error: ${error.message}`);
+    process.exit(1);
+  }
+
 } else if (command === 'build') {
   // Build mode: cslop build file.slop -o output.js
   const filePath = args[1];
-  const outputPath = args[3] || filePath.replace('.slop', '.js');
 
   if (!filePath) {
     console.error('Error: Please provide a .slop file');
@@ -1277,16 +1416,27 @@ dist/
     process.exit(1);
   }
 
+  const outputPath = args[3] || filePath.replace('.slop', '.js');
+  const mapPath = `${outputPath}.map`;
   const code = fs.readFileSync(fullPath, 'utf8');
 
   try {
-    const compiled = compile(code, {
+    const compiler = new Compiler(code, {
       filename: filePath,
-      basePath: path.dirname(fullPath)
+      basePath: path.dirname(fullPath),
+      tables: declaredTables(importGraph(fullPath))
+    });
+    const compiled = compiler.compile();
+
+    // Source map sits beside the output and refers to the .slop file relative to it
+    const map = compiler.sourceMap({
+      file: path.basename(outputPath),
+      source: path.relative(path.dirname(path.resolve(outputPath)), fullPath)
     });
 
-    fs.writeFileSync(outputPath, compiled);
-    console.log(`Compiled ${filePath} -> ${outputPath}`);
+    fs.writeFileSync(outputPath, `${compiled}\n//# sourceMappingURL=${path.basename(mapPath)}\n`);
+    fs.writeFileSync(mapPath, JSON.stringify(map));
+    console.log(`Compiled ${filePath} -> ${outputPath} (+ ${path.basename(mapPath)})`);
 
   } catch (error) {
     console.error('Compilation error:', error.message);
@@ -1309,30 +1459,16 @@ dist/
     process.exit(1);
   }
 
-  const code = fs.readFileSync(fullPath, 'utf8');
-
   try {
-    const compiled = compile(code, {
-      filename: filePath,
-      basePath: path.dirname(fullPath)
-    });
-
     // Execute the compiled code with runtime
-    const runtime = createRuntime({
-      basePath: path.dirname(fullPath)
-    });
-
-    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-    const fn = new AsyncFunction('runtime', 'require', '__dirname', '__filename', compiled);
-
-    fn(runtime, require, path.dirname(fullPath), fullPath).catch(err => {
+    runFile(fullPath, { filename: filePath }).catch(err => {
       console.error('Runtime error:', err);
       process.exit(1);
     });
 
   } catch (error) {
     console.error('Compilation error:', error.message);
-    console.error(error.stack);
+    if (error.name !== 'CompileError') console.error(error.stack);
     process.exit(1);
   }
 
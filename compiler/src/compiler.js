@@ -3,380 +3,1419 @@
  * Compiles .slop code to JavaScript
  */
 
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./parser');
+const { Diagnostics, CompileError } = require('./diagnostics');
+const { SourceMapGenerator } = require('./sourcemap');
+const { TYPES, MODIFIERS } = require('./schema');
+
+// Bare identifiers that expand to runtime values
+const BUILTIN_VALUES = {
+  now: 'Date.now()',
+  uuid: 'utils.uuid()'
+};
+
+// Bare identifiers that expand to runtime functions
+const BUILTIN_FUNCTIONS = {
+  hash: 'utils.hash',
+  jwt: 'utils.jwt',
+  sleep: 'utils.sleep',
+  log: 'console.log'
+};
+
+// JavaScript functions a bare stage may call, like fns: $.n > Number > double
+const STAGE_GLOBALS = new Set([
+  'Number', 'String', 'Boolean', 'parseInt', 'parseFloat',
+  'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI'
+]);
+
+// Names the generated code can always see besides JavaScript globals
+const KNOWN_NAMES = new Set([
+  'require', '__dirname', '__filename', 'runtime', 'app', 'db', 'request', 'response', 'utils',
+  'true', 'false', 'null', 'undefined', 'this', 'arguments'
+]);
+
+const RESPONSES = ['json', 'html', 'text', 'redirect', 'file', 'jwt', 'page'];
+
 class Compiler {
   constructor(code, options = {}) {
     this.code = code;
     this.options = options;
-    this.lines = code.split('\n');
     this.output = [];
+    this.sourceLines = []; // output index -> .slop position, for source maps
     this.routes = [];
     this.imports = [];
     this.variables = {};
+    this.globals = new Set();
+    // Names assigned at the top level (limit = 10) that still need their `let`
+    this.values = new Set();
+    // Top-level fn definitions; calls to them are always awaited
+    this.functions = new Set();
+    // Whole .slop files imported as one name (import * as auth from "./auth.slop"); auth.x() calls are awaited too
+    this.modules = new Set();
+    // import ... from "./x.slop" statements, which the loader links before running
+    this.slopImports = [];
+    // Tables declared with @table: {...}, and their column specs as JavaScript (for cslop migrate)
+    this.schemas = new Map(); // table -> declared column names
+    this.tables = [];
+    // Tables the project's other files declare (the loader passes them in); @users.posts can join those too
+    this.declaredTables = new Set(options.tables || []);
+    this.diagnostics = new Diagnostics(code, options.filename);
   }
 
   compile() {
+    let ast;
+    try {
+      ast = parse(this.code, { filename: this.options.filename });
+    } catch (error) {
+      if (!error.reason) throw error;
+      this.diagnostics.error(error.reason, error);
+      throw this.diagnostics.toError();
+    }
+
+    // Imports are visible everywhere, including routes defined above them
+    for (const node of ast.body) {
+      if (node.type === 'Import' && isSlopImport(node)) this.checkSlopImport(node);
+      if (node.type === 'Import' && node.specifiers) {
+        importedNames(node.specifiers).forEach(name => this.globals.add(name));
+      }
+      if (node.type === 'Function') {
+        if (this.functions.has(node.name)) this.diagnostics.error(`Function '${node.name}' is already defined`, node);
+        this.functions.add(node.name);
+        this.globals.add(node.name);
+      }
+    }
+
+    // name: value and name = value at the top level declare values the whole file can read
+    for (const node of ast.body) {
+      if (node.type === 'Declaration') {
+        if (this.globals.has(node.name)) this.diagnostics.error(`'${node.name}' is already defined`, node);
+        this.globals.add(node.name);
+      }
+    }
+    for (const node of ast.body) {
+      const name = assignedName(node);
+      if (name && !this.globals.has(name) && !KNOWN_NAMES.has(name)) {
+        this.values.add(name);
+        this.globals.add(name);
+      }
+    }
+    this.moduleScope = this.createScope();
+
     // Add runtime setup
     this.output.push('// Compiled from C-slop');
     this.output.push('const { app, db, request, response, utils } = runtime;');
     this.output.push('');
 
-    for (let i = 0; i < this.lines.length; i++) {
-      const line = this.lines[i].trim();
+    // Tables are declared before anything can query them, and middleware and transforms have to be
+    // registered before the routes they apply to, wherever they are written
+    const isSchema = node => node.type === 'Schema';
+    const isHook = node => node.type === 'Middleware' || node.type === 'Transform';
+    const ordered = [
+      ...ast.body.filter(isSchema),
+      ...ast.body.filter(isHook),
+      ...ast.body.filter(node => !isSchema(node) && !isHook(node))
+    ];
+    for (const node of ordered) {
+      this.compileStatement(node);
+    }
 
-      // Skip empty lines and comments
-      if (!line || line.startsWith('//')) continue;
+    if (this.options.module) {
+      // Imported .slop files hand their fns back to the importer instead of starting a server
+      const exported = ast.body.filter(node => node.type === 'Function').map(node => node.name);
+      this.output.push('');
+      this.output.push(exported.length ? `return { ${exported.join(', ')} };` : 'return {};');
+    } else {
+      // Route files listed in slop.json go after this file's routes, under its middleware
+      this.output.push('');
+      this.output.push('// Route files from slop.json');
+      this.output.push('await runtime.mountRoutes();');
+
+      // SPA fallback - serve index.html for non-API, non-file routes
+      this.output.push('');
+      this.output.push('// SPA fallback for client-side routing');
+      this.output.push('if (runtime.config && runtime.config.server && runtime.config.server.static) {');
+      this.output.push('  const staticPath = require("path").resolve(runtime.basePath, runtime.config.server.static);');
+      this.output.push('  const indexPath = require("path").join(staticPath, "index.html");');
+      this.output.push('  app.get("*", (req, res, next) => {');
+      this.output.push('    if (req.path.startsWith("/api") || req.path.includes(".")) return next();');
+      this.output.push('    if (require("fs").existsSync(indexPath)) res.sendFile(indexPath);');
+      this.output.push('    else next();');
+      this.output.push('  });');
+      this.output.push('}');
+
+      // Start server at the end
+      this.output.push('');
+      this.output.push('// Start server');
+      this.output.push('const PORT = process.env.PORT || 3000;');
+      this.output.push('app.listen(PORT, () => {');
+      this.output.push('  console.log(`Server running at http://localhost:${PORT}`);');
+      this.output.push('});');
+    }
 
-      // Handle imports
-      if (line.startsWith('import ')) {
-        this.compileImport(line);
-        continue;
-      }
+    if (this.diagnostics.errors.length) throw this.diagnostics.toError();
+    this.reportWarnings();
 
-      // Handle route definitions
-      if (line.startsWith('*')) {
-        this.compileRoute(line, i);
-        continue;
-      }
+    return this.output.join('\n');
+  }
 
-      // Handle database configuration
-      if (line.startsWith('@:')) {
-        this.compileDbConfig(line);
-        continue;
-      }
+  // Push a line of output that came from `node`
+  emit(code, node) {
+    if (node) this.sourceLines[this.output.length] = { line: node.line, column: node.column };
+    this.output.push(code);
+  }
 
-      // Handle variable assignments and other statements
-      this.compileLine(line);
+  // A generated line inside a handler, remembered with its source position
+  at(node, code) {
+    return { code, line: node.line, column: node.column };
+  }
+
+  emitLines(lines, indent) {
+    for (const line of lines) {
+      this.emit(`${indent}${line.code}`, line);
     }
+  }
 
-    // SPA fallback - serve index.html for non-API, non-file routes
-    this.output.push('');
-    this.output.push('// SPA fallback for client-side routing');
-    this.output.push('if (runtime.config && runtime.config.server && runtime.config.server.static) {');
-    this.output.push('  const staticPath = require("path").resolve(__dirname, runtime.config.server.static);');
-    this.output.push('  const indexPath = require("path").join(staticPath, "index.html");');
-    this.output.push('  app.get("*", (req, res, next) => {');
-    this.output.push('    if (req.path.startsWith("/api") || req.path.includes(".")) return next();');
-    this.output.push('    if (require("fs").existsSync(indexPath)) res.sendFile(indexPath);');
-    this.output.push('    else next();');
-    this.output.push('  });');
-    this.output.push('}');
+  /**
+   * Source map for the last compile(); `file` is the generated file, `source` the .slop path
+   */
+  sourceMap({ file = null, source = this.options.filename || 'input.slop' } = {}) {
+    const generator = new SourceMapGenerator({ file, source, content: this.code });
+    let generatedLine = 1;
+
+    this.output.forEach((code, i) => {
+      const position = this.sourceLines[i];
+      if (position) {
+        generator.addMapping(generatedLine, code.search(/\S|$/) + 1, position.line, position.column);
+      }
+      // Template literals can carry newlines of their own
+      generatedLine += code.split('\n').length;
+    });
 
-    // Start server at the end
-    this.output.push('');
-    this.output.push('// Start server');
-    this.output.push('const PORT = process.env.PORT || 3000;');
-    this.output.push('app.listen(PORT, () => {');
-    this.output.push('  console.log(`Server running at http://localhost:${PORT}`);');
-    this.output.push('});');
+    return generator.toJSON();
+  }
 
-    return this.output.join('\n');
+  reportWarnings() {
+    const report = this.options.onWarning || (text => console.warn(text));
+    for (const warning of this.diagnostics.warnings) {
+      report(this.diagnostics.format(warning), warning);
+    }
   }
 
-  compileImport(line) {
+  compileStatement(node) {
+    switch (node.type) {
+      case 'Import':
+        return this.compileImport(node);
+      case 'Route':
+        return this.compileRoute(node);
+      case 'Middleware':
+        return this.compileMiddleware(node);
+      case 'Transform':
+        return this.compileTransform(node);
+      case 'DbConfig':
+        return this.compileDbConfig(node);
+      case 'Schema':
+        return this.compileSchema(node);
+      case 'Function':
+        return this.compileFunction(node);
+      default:
+        return this.compileLine(node);
+    }
+  }
+
+  compileImport(node) {
     // import {format} from "date-fns"
     // import axios from "axios"
-    const match = line.match(/import\s+(.+?)\s+from\s+["'](.+?)["']/);
-    if (match) {
-      const [, importPart, moduleName] = match;
-      this.output.push(`const ${importPart} = require('${moduleName}');`);
-      this.imports.push({ importPart, moduleName });
+    const moduleName = node.source;
+    if (isSlopImport(node)) return this.compileSlopImport(node);
+
+    if (!node.specifiers) {
+      this.emit(`require('${moduleName}');`, node);
+      return;
     }
+
+    // import * as x from "y" binds the whole module, like a default import
+    const importPart = node.specifiers.replace(/^\*\s+as\s+/, '');
+    this.emit(`const ${importPart} = require('${moduleName}');`, node);
+    this.imports.push({ importPart, moduleName });
   }
 
-  compileRoute(line, lineIndex) {
-    // Parse route: */path/:param > handler > #json
-    // Route format: METHOD/path OPERATION body
+  compileSlopImport(node) {
+    // import {auth} from "./lib/auth.slop" -> the file runs once, on this app, and hands back its fns
+    const load = `await runtime.importSlop('${node.source.replace(/'/g, "\\'")}', __filename)`;
 
-    let method = 'get';
-    let routeLine = line;
+    if (!node.specifiers) {
+      this.emit(`${load};`, node);
+      return;
+    }
 
-    // Check for HTTP method prefix
-    if (routeLine.includes(' + ')) method = 'post';
-    else if (routeLine.includes(' ~ ')) method = 'put';
-    else if (routeLine.includes(' - ')) method = 'delete';
+    const binding = node.specifiers.replace(/^\*\s+as\s+/, '').replace(/\s+as\s+/g, ': ');
+    this.emit(`const ${binding} = ${load};`, node);
+  }
 
-    // Extract route path
-    const routeMatch = routeLine.match(/^\*([^\s+~-]+)/);
-    if (!routeMatch) return;
+  // Named imports have to be fns defined in the imported file; those calls are awaited like local fns
+  checkSlopImport(node) {
+    this.slopImports.push(node);
+    const specifiers = (node.specifiers || '').trim();
+    if (!specifiers.startsWith('{')) {
+      if (/[{,]/.test(specifiers)) this.diagnostics.error(`Import either {names} or the whole file from '${node.source}', not both`, node);
+      else if (specifiers) this.modules.add(specifiers.replace(/^\*\s+as\s+/, ''));
+      return;
+    }
 
-    const routePath = routeMatch[1];
+    // Without a base path there is no file to look at (compile() on a bare string)
+    if (!this.options.basePath) return;
 
-    // Get the handler part (everything after the path and operator)
-    const operatorPos = routeLine.search(/[\+~-]|(?<!\*)>/);
-    let handler = operatorPos > 0 ? routeLine.substring(operatorPos + 1).trim() : routeLine.substring(routePath.length + 1).trim();
+    let ast;
+    try {
+      ast = parse(fs.readFileSync(path.resolve(this.options.basePath, node.source), 'utf8'), { filename: node.source });
+    } catch (error) {
+      if (error.code === 'ENOENT') this.diagnostics.error(`Cannot find '${node.source}'`, node);
+      // Syntax errors are reported when that file itself is compiled
+      return;
+    }
 
-    // Remove leading '>' if present
-    if (handler.startsWith('>')) {
-      handler = handler.substring(1).trim();
+    const exported = ast.body.filter(statement => statement.type === 'Function').map(statement => statement.name);
+    for (const part of specifiers.slice(1, -1).split(',').map(part => part.trim()).filter(Boolean)) {
+      const [name, alias = name] = part.split(/\s+as\s+/).map(word => word.trim());
+      if (exported.includes(name)) {
+        this.functions.add(alias);
+        continue;
+      }
+      const suggestion = closest(name, exported);
+      this.diagnostics.error(`'${name}' is not defined in '${node.source}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`, node);
     }
+  }
+
+  compileRoute(node) {
+    const { method, path: routePath } = node;
+    this.routes.push({ method, path: routePath });
 
     // Generate route handler
     this.output.push('');
     this.output.push(`// Route: ${method.toUpperCase()} ${routePath}`);
-    this.output.push(`app.${method}('${routePath}', async (req, res) => {`);
+    this.emit(`app.${method}('${routePath.replace(/'/g, "\\'")}', async (req, res) => {`, node);
     this.output.push('  try {');
     this.output.push('    const $ = request(req);');
 
     // Compile the handler pipeline
-    const compiledHandler = this.compileHandler(handler);
-    this.output.push(`    ${compiledHandler}`);
+    const scope = this.createScope();
+    ['$', 'req', 'res'].forEach(name => scope.locals.add(name));
+
+    const { lines, responded } = this.compileHandler(node.handler, scope);
+    this.emitLines(lines, '    ');
+
+    if (!responded) {
+      this.diagnostics.warning(`Route ${method.toUpperCase()} ${routePath} never sends a response`, node);
+    }
+
+    this.emitErrorHandler();
+  }
+
+  compileMiddleware(node) {
+    // ** > auth($) > _         -> app.use(...)
+    // */admin/* > isAdmin($) ? _ : #403 -> app.use('/admin', ...)
+    const { prefix, path: routePath } = node;
+    const mount = prefix ? `'${prefix.replace(/'/g, "\\'")}', ` : '';
+
+    this.output.push('');
+    this.output.push(`// Middleware: ${routePath === '*' ? 'all routes' : routePath}`);
+    this.emit(`app.use(${mount}async (req, res, next) => {`, node);
+    this.output.push('  try {');
+    this.output.push('    const $ = request(req);');
+
+    // _ starts out as $, so a bare `_` continues unchanged
+    const scope = this.createScope(null, '$');
+    scope.kind = 'middleware';
+    ['$', 'req', 'res', 'next'].forEach(name => scope.locals.add(name));
+
+    const { lines, responded } = this.compileHandler(node.handler, scope);
+    this.emitLines(lines, '    ');
+    if (!responded) this.output.push('    return next();');
+
+    this.emitErrorHandler();
+  }
+
+  compileTransform(node) {
+    // */api/* >># {data:_, ts:now} -> every successful res.json under /api is rewritten
+    const { prefix, path: routePath } = node;
+    const mount = prefix ? `'${prefix.replace(/'/g, "\\'")}', ` : '';
+
+    this.output.push('');
+    this.output.push(`// Response transform: ${routePath === '*' ? 'all routes' : routePath}`);
+    this.emit(`app.use(${mount}(req, res, next) => {`, node);
+    this.output.push('  runtime.transform(res, async (body) => {');
+    this.output.push('    const $ = request(req);');
+
+    // _ is the body the route sent
+    const scope = this.createScope(null, 'body');
+    scope.kind = 'transform';
+    ['$', 'req', 'res', 'body'].forEach(name => scope.locals.add(name));
+
+    const { lines } = this.compileHandler(node.handler, scope);
+    this.emitLines(lines, '    ');
+
+    this.output.push('  });');
+    this.output.push('  next();');
+    this.output.push('});');
+  }
 
+  emitErrorHandler() {
     this.output.push('  } catch (error) {');
-    this.output.push('    console.error("Route error:", error);');
-    this.output.push('    res.status(500).json({ error: error.message });');
+    this.output.push('    // Named runtime errors (NotFound, AuthErr, ...) carry their own status');
+    this.output.push('    if (!error.status) console.error("Route error:", error);');
+    this.output.push('    res.status(error.status || 500).json({ error: error.message });');
     this.output.push('  }');
     this.output.push('});');
   }
 
-  compileHandler(handler) {
-    // Handle pipeline operations: a > b > c
-    const parts = handler.split('>').map(p => p.trim()).filter(p => p);
+  createScope(parent = null, context = parent ? parent.context : null) {
+    return {
+      parent,
+      context,
+      locals: new Set(),
+      counter: parent ? parent.counter : { next: 0 },
+      // What the handler being compiled is: route, middleware, transform or function
+      kind: parent ? parent.kind : 'route'
+    };
+  }
+
+  isLocal(scope, name) {
+    for (let s = scope; s; s = s.parent) {
+      if (s.locals.has(name)) return true;
+    }
+    return false;
+  }
+
+  // Route handlers send whatever the pipeline ends with as JSON
+  compileHandler(pipeline, scope) {
+    const { lines, value, responded } = this.compilePipeline(pipeline, scope);
+    if (!responded && value) {
+      lines.push(this.at(pipeline.stages[pipeline.stages.length - 1], this.finish(scope, value)));
+      return { lines, responded: true };
+    }
+    return { lines, responded };
+  }
+
+  // Routes respond with the final value; middleware merges it into $ and moves on
+  finish(scope, value) {
+    switch (scope.kind) {
+      case 'middleware':
+        return `return runtime.proceed($, ${value}, next);`;
+      case 'transform':
+      case 'function':
+      case 'transaction':
+        return `return ${value};`;
+      default:
+        return `return res.json(${value});`;
+    }
+  }
+
+  // Returns the generated lines and the variable holding the final value
+  compilePipeline(pipeline, scope) {
+    return this.compileStages(pipeline.stages, scope, scope.context);
+  }
+
+  compileStages(stages, scope, current) {
+    // Everything before the last >| runs inside its try block
+    const catchIndex = stages.map(stage => stage.type).lastIndexOf('Catch');
+    if (catchIndex !== -1) {
+      return this.compileCatch(stages.slice(0, catchIndex), stages[catchIndex], stages.slice(catchIndex + 1), scope, current);
+    }
+
+    const lines = [];
+
+    for (const [i, stage] of stages.entries()) {
+      const stageScope = current === scope.context ? scope : { ...scope, context: current };
+      const rest = stages[i + 1];
 
-    let output = [];
-    let currentVar = null;
+      if (stage.type === 'Response') {
+        lines.push(this.at(stage, this.compileResponse(stage, current, stageScope)));
+        if (rest) this.diagnostics.warning('Unreachable pipeline stage after a response', rest);
+        return { lines, value: null, responded: true };
+      }
+
+      if (stage.type === 'Block') {
+        const result = this.compileBlock(stage, this.createScope(scope, current));
+        lines.push(...result.lines);
+        if (rest) this.diagnostics.warning('Unreachable pipeline stage after a block', rest);
+        return { ...result, lines };
+      }
 
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
+      const index = scope.counter.next++;
 
-      // Handle response operations (#json, #html, #404, etc.)
-      if (part.startsWith('#')) {
-        output.push(this.compileResponse(part, currentVar));
-        return output.join('\n    ');
+      if (stage.type === 'Transaction') {
+        const varName = `data${index}`;
+        lines.push(...this.compileTransaction(stage, stageScope, varName));
+        current = varName;
+        continue;
       }
 
-      // Handle database operations (@users, @users[$.id], etc.)
-      if (part.startsWith('@')) {
-        const dbOp = this.compileDbOperation(part);
-        const varName = `data${i}`;
-        output.push(`const ${varName} = await ${dbOp};`);
-        currentVar = varName;
+      if (stage.type === 'DbOp') {
+        const varName = `data${index}`;
+        lines.push(this.at(stage, `const ${varName} = await ${this.compileDbOperation(stage, stageScope, current)};`));
+        current = varName;
         continue;
       }
 
-      // Handle code blocks
-      if (part.startsWith('{')) {
-        const block = this.extractBlock(handler, handler.indexOf('{'));
-        output.push(this.compileBlock(block));
-        break;
+      if (this.isGuard(stage)) {
+        const result = this.compileGuard(stage, stageScope, index);
+        lines.push(...result.lines);
+        if (result.responded) {
+          if (rest) this.diagnostics.warning('Unreachable pipeline stage after a response', rest);
+          return { ...result, lines };
+        }
+        current = result.value;
+        continue;
       }
 
-      // Handle function calls or expressions
-      const compiled = this.compileExpression(part, currentVar);
-      const varName = `result${i}`;
-
-      // Check if it's an expression that needs await
-      // Await database ops, axios calls, fetch calls, and anything with await
-      const needsAwait = compiled.includes('await') ||
-                        part.startsWith('@') ||
-                        part.includes('axios.') ||
-                        part.includes('fetch(');
-
-      if (needsAwait) {
-        output.push(`const ${varName} = await ${compiled};`);
-      } else {
-        output.push(`const ${varName} = ${compiled};`);
+      if (stage.type === 'Parallel') {
+        const varName = `data${index}`;
+        lines.push(this.at(stage, `const ${varName} = await ${this.compileParallel(stage, stageScope)};`));
+        current = varName;
+        continue;
+      }
+
+      if (stage.type === 'Collection') {
+        const result = this.compileCollection(stage, stageScope, current, index);
+        lines.push(...result.lines);
+        current = result.value;
+        continue;
       }
-      currentVar = varName;
+
+      // Handle function calls or expressions
+      const varName = `result${index}`;
+      const call = this.compileStageCall(stage, stageScope, current);
+      const compiled = call || `${this.needsAwait(stage) ? 'await ' : ''}${this.compileExpression(stage, stageScope)}`;
+      lines.push(this.at(stage, `const ${varName} = ${compiled};`));
+      current = varName;
     }
 
-    // If we reach here and have a currentVar, return it as JSON
-    if (currentVar) {
-      output.push(`res.json(${currentVar});`);
+    return { lines, value: current, responded: false };
+  }
+
+  // @users & @posts -> {users, posts}; anything else -> [a, b]
+  compileParallel(node, scope) {
+    const branches = node.branches.map(branch => branch.type === 'DbOp'
+      ? this.compileDbOperation(branch, scope)
+      : this.compileExpression(branch, scope));
+    const all = `Promise.all([${branches.join(', ')}])`;
+
+    // Reads from distinct tables are named after the table
+    const tables = node.branches.map(branch => branch.type === 'DbOp' && branch.action === 'find' ? branch.table : null);
+    if (tables.every(Boolean) && new Set(tables).size === tables.length) {
+      return `${all}.then(([${tables.join(', ')}]) => ({ ${tables.join(', ')} }))`;
     }
+    return all;
+  }
 
-    return output.join('\n    ');
+  // Stages that compile to if/else: matches, and conditionals or ?? fallbacks whose
+  // branches respond or pipe: ok ? @data > #json : #403, user ?? #401
+  isGuard(node) {
+    const branches = ['Response', 'Pipeline', 'Block'];
+    const responds = branch => branches.includes(branch.type) || this.isGuard(branch);
+    if (node.type === 'Match') return true;
+    if (node.type === 'Conditional') return responds(node.consequent) || responds(node.alternate);
+    return node.type === 'Binary' && node.operator === '??' && responds(node.right);
   }
 
-  compileResponse(responsePart, dataVar = 'result') {
-    // #json, #json(data), #html, #404, #201, etc.
+  compileGuard(node, scope, index) {
+    const varName = `result${index}`;
+    const lines = [this.at(node, `let ${varName};`)];
+    const responded = this.compileBranch(node, scope, varName, lines, '');
+    return { lines, value: responded ? null : varName, responded };
+  }
 
-    // Status codes
-    if (/^#\d+$/.test(responsePart)) {
-      const status = responsePart.substring(1);
-      return `res.status(${status}).send();`;
+  // Either responds or assigns the branch value to target; true when every path responds
+  compileBranch(node, scope, target, lines, indent) {
+    const value = child => `${this.needsAwait(child) ? 'await ' : ''}${this.compileExpression(child, scope)}`;
+
+    if (node.type === 'Response') {
+      lines.push(this.at(node, indent + this.compileResponse(node, scope.context, scope)));
+      return true;
+    }
+
+    if (node.type === 'Pipeline' || node.type === 'Block') {
+      const result = this.compileStages(node.type === 'Pipeline' ? node.stages : [node], scope, scope.context);
+      lines.push(...result.lines.map(line => ({ ...line, code: indent + line.code })));
+      if (!result.responded) lines.push(this.at(node, `${indent}${target} = ${result.value};`));
+      return result.responded;
+    }
+
+    if (node.type === 'Match') {
+      const subject = `subject${scope.counter.next++}`;
+      lines.push(this.at(node, `${indent}const ${subject} = ${value(node.subject)};`));
+
+      let responded = true;
+      node.arms.forEach((arm, i) => {
+        const opener = arm.isDefault ? '{' : `if (${this.compileArmTest(arm, subject, scope)}) {`;
+        lines.push(this.at(arm, `${indent}${i === 0 ? '' : '} else '}${opener}`));
+        responded = this.compileBranch(arm.result, scope, target, lines, `${indent}  `) && responded;
+      });
+      lines.push(this.at(node, `${indent}}`));
+
+      // Without a _ arm, unmatched values fall through as undefined
+      return responded && node.arms[node.arms.length - 1].isDefault;
+    }
+
+    if (!this.isGuard(node)) {
+      lines.push(this.at(node, `${indent}${target} = ${value(node)};`));
+      return false;
     }
 
-    // Status with message
-    const statusMatch = responsePart.match(/^#(\d+)\((.+)\)$/);
-    if (statusMatch) {
-      const [, status, message] = statusMatch;
-      return `res.status(${status}).json({ error: ${message} });`;
+    if (node.type === 'Conditional') {
+      lines.push(this.at(node, `${indent}if (${value(node.test)}) {`));
+      const consequent = this.compileBranch(node.consequent, scope, target, lines, `${indent}  `);
+      lines.push(this.at(node.alternate, `${indent}} else {`));
+      const alternate = this.compileBranch(node.alternate, scope, target, lines, `${indent}  `);
+      lines.push(this.at(node, `${indent}}`));
+      return consequent && alternate;
     }
 
-    // Response methods
-    if (responsePart === '#json') {
-      return `res.json(${dataVar});`;
+    // left ?? fallback
+    lines.push(this.at(node, `${indent}${target} = ${value(node.left)};`));
+    lines.push(this.at(node, `${indent}if (${target} === null || ${target} === undefined) {`));
+    this.compileBranch(node.right, scope, target, lines, `${indent}  `);
+    lines.push(this.at(node, `${indent}}`));
+    return false;
+  }
+
+  // >10 -> subject > 10; "admin" -> subject === "admin"
+  compileArmTest(arm, subject, scope) {
+    return `${subject} ${arm.operator || '==='} ${this.compileExpression(arm.pattern, scope)}`;
+  }
+
+  // A match used as a value: an arrow called with the subject
+  compileMatch(node, scope) {
+    const subject = `subject${scope.counter.next++}`;
+    const chain = node.arms.reduceRight((rest, arm) => {
+      const result = this.compileExpression(arm.result, scope);
+      return arm.isDefault ? result : `${this.compileArmTest(arm, subject, scope)} ? ${result} : ${rest}`;
+    }, 'undefined');
+
+    const isAsync = node.arms.some(arm => this.containsAwait(arm.result) || (arm.pattern && this.containsAwait(arm.pattern)));
+    const call = `(${isAsync ? 'async ' : ''}(${subject}) => ${chain})(${this.compileExpression(node.subject, scope)})`;
+    return isAsync ? `(await ${call})` : call;
+  }
+
+  // A pipeline used as a value, as in ~<ul>{@users >> ~<li>{_.name}</li>}</ul>, runs in an async function of its own
+  compileInlinePipeline(node, scope) {
+    const result = this.compileStages(node.stages, this.createScope(scope), scope.context);
+    if (result.responded) {
+      this.diagnostics.error('Responses (#) can only be used as a pipeline stage', node);
+      return 'undefined';
     }
+    const body = result.lines.map(line => `${line.code} `).join('');
+    return `(await (async () => { ${body}return ${result.value}; })())`;
+  }
 
-    const jsonMatch = responsePart.match(/^#json\((.+)\)$/s);
-    if (jsonMatch) {
-      let expr = jsonMatch[1];
-      // Only compile if it doesn't look like already valid JavaScript
-      if (!expr.startsWith('{') && !expr.startsWith('[')) {
-        expr = this.compileExpression(expr);
+  // >> map, >? filter, >+ reduce, >! each over the piped list; _ is the current item
+  compileCollection(node, scope, list, index) {
+    const item = `item${index}`;
+    const varName = `result${index}`;
+    const body = this.compileExpression(node.body, { ...scope, context: item });
+    const isAsync = this.needsAwait(node.body) || this.containsAwait(node.body);
+    const line = code => this.at(node, code);
+
+    switch (node.kind) {
+      case 'map':
+        return {
+          lines: [line(isAsync
+            ? `const ${varName} = await Promise.all(${list}.map(async (${item}) => (${body})));`
+            : `const ${varName} = ${list}.map((${item}) => (${body}));`)],
+          value: varName
+        };
+
+      case 'filter':
+        if (!isAsync) {
+          return { lines: [line(`const ${varName} = ${list}.filter((${item}) => (${body}));`)], value: varName };
+        }
+        return {
+          lines: [
+            line(`const keep${index} = await Promise.all(${list}.map(async (${item}) => (${body})));`),
+            line(`const ${varName} = ${list}.filter((${item}, i) => keep${index}[i]);`)
+          ],
+          value: varName
+        };
+
+      case 'reduce': {
+        const init = node.init ? this.compileExpression(node.init, scope) : '0';
+        if (!isAsync) {
+          return {
+            lines: [line(`const ${varName} = ${list}.reduce((acc${index}, ${item}) => acc${index} + (${body}), ${init});`)],
+            value: varName
+          };
+        }
+        return {
+          lines: [
+            line(`let ${varName} = ${init};`),
+            line(`for (const ${item} of ${list}) ${varName} = ${varName} + (await (${body}));`)
+          ],
+          value: varName
+        };
       }
-      return `res.json(${expr});`;
+
+      // Each runs for side effects and passes the list on unchanged
+      default:
+        return {
+          lines: [line(`for (const ${item} of ${list}) ${isAsync ? 'await ' : ''}${body};`)],
+          value: list
+        };
+    }
+  }
+
+  // guarded >| handler > rest: each handler either responds or provides the value for the rest
+  compileCatch(guarded, node, rest, scope, current) {
+    const index = scope.counter.next++;
+    const valueVar = `caught${index}`;
+    const errorVar = `error${index}`;
+    const indent = (lines, depth) => lines.map(line => ({ ...line, code: `${'  '.repeat(depth)}${line.code}` }));
+
+    // Cases after the catch-all '_' can never match
+    const defaultIndex = node.cases.findIndex(branch => branch.name === '_');
+    const cases = defaultIndex === -1 ? node.cases : node.cases.slice(0, defaultIndex + 1);
+    if (cases.length < node.cases.length) {
+      this.diagnostics.warning("Catch map cases after '_' are never used", node.cases[cases.length]);
+    }
+    const chained = !(cases.length === 1 && defaultIndex === 0);
+
+    const tried = this.compileStages(guarded, scope, current);
+    const lines = [this.at(node, `let ${valueVar};`), this.at(node, 'try {'), ...indent(tried.lines, 1)];
+    if (!tried.responded) lines.push(this.at(node, `  ${valueVar} = ${tried.value};`));
+    lines.push(this.at(node, `} catch (${errorVar}) {`));
+
+    // Inside a handler, _ is the caught error
+    const handlerScope = { ...scope, context: errorVar };
+    let responded = tried.responded;
+
+    cases.forEach((branch, i) => {
+      if (chained) {
+        const test = `${errorVar}.name === '${branch.name}' || ${errorVar}.code === '${branch.name}'`;
+        if (branch.name === '_') lines.push(this.at(branch, '  } else {'));
+        else lines.push(this.at(branch, `  ${i === 0 ? '' : '} else '}if (${test}) {`));
+      }
+
+      const depth = chained ? 2 : 1;
+      const handled = this.compileStages([branch.handler], handlerScope, errorVar);
+      lines.push(...indent(handled.lines, depth));
+      if (!handled.responded) {
+        lines.push(this.at(branch.handler, `${'  '.repeat(depth)}${valueVar} = ${handled.value};`));
+        responded = false;
+      }
+    });
+
+    // Errors the map doesn't name keep propagating
+    if (defaultIndex === -1) lines.push(this.at(node, '  } else {'), this.at(node, `    throw ${errorVar};`));
+    if (chained) lines.push(this.at(node, '  }'));
+    lines.push(this.at(node, '}'));
+
+    if (responded) {
+      if (rest.length) this.diagnostics.warning('Unreachable pipeline stage after a response', rest[0]);
+      return { lines, value: null, responded: true };
+    }
+
+    const after = this.compileStages(rest, scope, valueVar);
+    return { lines: [...lines, ...after.lines], value: after.value, responded: after.responded };
+  }
+
+  // Expression stages that call something may return a promise
+  needsAwait(node) {
+    let found = false;
+    this.walk(node, child => {
+      if ((child.type === 'Call' && !this.isFunctionCall(child)) || child.type === 'New') found = true;
+      return child.type !== 'Arrow';
+    });
+    return found;
+  }
+
+  // Whether the compiled node awaits something itself, so it needs an async function around it
+  containsAwait(node) {
+    let found = false;
+    this.walk(node, child => {
+      if (['DbOp', 'Transaction', 'Parallel', 'Match', 'Pipeline'].includes(child.type) || this.isFunctionCall(child)) found = true;
+      if (child.type === 'Unary' && child.operator === 'await') found = true;
+      return child.type !== 'Arrow';
+    });
+    return found;
+  }
+
+  // A call to a top-level fn, here or in an imported .slop file: isAdmin(u), auth.isAdmin(u)
+  isFunctionCall(node, scope = null) {
+    if (node.type !== 'Call') return false;
+    const { callee } = node;
+    const unshadowed = name => !(scope && this.isLocal(scope, name));
+    if (callee.type === 'Identifier') return this.functions.has(callee.name) && unshadowed(callee.name);
+    return callee.type === 'Member' && !callee.computed && callee.object.type === 'Identifier' &&
+      this.modules.has(callee.object.name) && unshadowed(callee.object.name);
+  }
+
+  // A bare function name as a stage is called with the piped value: */data > fetch > parse > #json
+  compileStageCall(stage, scope, current) {
+    if (stage.type !== 'Identifier' || stage.parenthesized || stage.name === '_') return null;
+    const { name } = stage;
+    const args = current || '';
+
+    const shadowed = this.isLocal(scope, name);
+    if (!shadowed && this.functions.has(name)) return `await ${name}(${args})`;
+    if (!shadowed && BUILTIN_FUNCTIONS[name]) return `await ${BUILTIN_FUNCTIONS[name]}(${args})`;
+
+    // Other names may hold values, so they are only called when something is piped in and they are functions
+    if (current && (shadowed || this.globals.has(name))) {
+      return `typeof ${name} === 'function' ? await ${name}(${args}) : ${name}`;
+    }
+
+    if (shadowed || this.globals.has(name)) return null;
+    if (STAGE_GLOBALS.has(name)) return `await ${name}(${args})`;
+    // Other JavaScript functions (fetch, eval, Date, ...) are never called implicitly
+    if (typeof globalThis[name] === 'function') {
+      this.diagnostics.error(`'${name}' is not a fn; call it explicitly, as ${name}(${current ? '_' : ''}), or wrap it in a fn`, stage);
     }
+    return null;
+  }
 
-    if (responsePart === '#html') {
-      return `res.send(${dataVar});`;
+  walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, visit));
+      return;
+    }
+    if (node.type && visit(node) === false) return;
+    for (const key in node) {
+      const value = node[key];
+      if (value && typeof value === 'object') this.walk(value, visit);
     }
+  }
+
+  compileResponse(node, dataVar, scope) {
+    // #json, #json(data), #html, #404, #201, etc.
+    if (scope.kind === 'transform') {
+      this.diagnostics.error('Response transforms return the new body; responses (#) are not allowed here', node);
+    }
+    if (scope.kind === 'function') {
+      this.diagnostics.error('Functions return values; responses (#) can only be used in routes', node);
+    }
+
+    const args = node.args.map(arg => this.compileExpression(arg, scope));
+    const data = dataVar || 'null';
 
-    const htmlMatch = responsePart.match(/^#html\((.+)\)$/s);
-    if (htmlMatch) {
-      let expr = htmlMatch[1];
-      if (!expr.startsWith('~')) {
-        expr = this.compileExpression(expr);
+    // Leaving @tx{...} with an error status rolls it back, then answers {error: message}
+    if (scope.kind === 'transaction') {
+      if (node.name !== 'status' || node.status < 400) {
+        this.diagnostics.error('Only error statuses (#400, #404, ...) can leave a transaction; respond after it: @tx{...} > #json', node);
       }
-      return `res.send(${expr});`;
+      return `throw utils.httpError(${node.status}${args.length ? `, ${args[0]}` : ''});`;
     }
 
-    return `res.json(${dataVar});`;
+    // Status codes, optionally with a message: #404, #400("title required")
+    if (node.name === 'status') {
+      if (args.length) return `return res.status(${node.status}).json({ error: ${args[0]} });`;
+      return `return res.status(${node.status}).send();`;
+    }
+
+    if (!RESPONSES.includes(node.name)) {
+      const suggestion = closest(node.name, RESPONSES);
+      this.diagnostics.error(`Unknown response '#${node.name}'${suggestion ? `, did you mean '#${suggestion}'?` : ''}`, node);
+    }
+
+    switch (node.name) {
+      case 'json':
+        return `return res.json(${args[0] || data});`;
+      case 'html':
+        return `return res.send(${args[0] || data});`;
+      case 'text':
+        return `return res.type('text/plain').send(String(${args[0] || data}));`;
+      case 'redirect':
+        return `return res.redirect(${args[0] || data});`;
+      case 'file':
+        return `return res.sendFile(require('path').resolve(__dirname, ${args[0] || data}));`;
+      case 'jwt':
+        return `return res.json({ token: utils.jwt(${args[0] || data}) });`;
+      case 'page':
+        return `return res.json(utils.page(${args[0] || data}));`;
+      default:
+        return `return res.json(${args[0] || data});`;
+    }
   }
 
-  compileDbOperation(dbOp) {
-    // @users -> db.users.findAll()
-    // @users[123] -> db.users.findById(123)
-    // @users[$.id] -> db.users.findById($.id)
-    // @users?{active:true} -> db.users.findWhere({active:true})
-    // @users! -> db.users.insert()
-    // @users!{name:"x"} -> db.users.insert({name:"x"})
-    // @users[123]!- -> db.users.delete(123)
+  compileDbOperation(node, scope, piped = scope.context) {
+    // @users -> db.getTable('users').findAll()
+    // @users[123] -> db.getTable('users').findById(123)
+    // @users[$.id] -> db.getTable('users').findById($.id)
+    // @users?{active:true} -> db.getTable('users').findWhere({active:true})
+    // @users!{name:"x"} -> db.getTable('users').insert({name:"x"})
+    // $.body > @users! -> db.getTable('users').insert(piped value)
+    // @users[123]!{data} -> db.getTable('users').update(123, {data})
+    // @users[123]!- -> db.getTable('users').delete(123)
+    // @users?{active:true}[name,email]:10:20 -> db.getTable('users').findWhere({active:true}, {fields: ["name", "email"], limit: 10, offset: 20})
+    // @posts^-created_at -> db.getTable('posts').findAll({order: ["-created_at"]})
+    // @users[1].posts -> db.getTable('users').findById(1, {with: ["posts"]}) when posts is a declared table
+    // @users[1].name -> (await db.getTable('users').findById(1)).name otherwise
+    // @orders?{paid:true}#group(userId)#sum(total) -> db.getTable('orders').aggregate({paid: true}, {fn: "sum", field: "total", group: ["userId"]})
+    // @raw("SELECT ... WHERE id = ?", [$.id]) -> db.raw("SELECT ... WHERE id = ?", [$.id])
+    if (node.action === 'raw') {
+      const params = node.params ? `, ${this.compileExpression(node.params, scope)}` : '';
+      return `db.raw(${this.compileExpression(node.data, scope)}${params})`;
+    }
 
-    // Delete: @users[123]!-
-    const deleteMatch = dbOp.match(/^@(\w+)\[([^\]]+)\]!-$/);
-    if (deleteMatch) {
-      const [, table, id] = deleteMatch;
-      const compiledId = this.compileExpression(id);
-      return `db.${table}.delete(${compiledId})`;
+    // Tables are looked up by name, so they may share a name with a Database member (raw, transaction, ready, ...)
+    const table = `db.getTable('${node.table}')`;
+    const id = node.id && this.compileExpression(node.id, scope);
+    const data = node.data ? this.compileExpression(node.data, scope) : (piped || '{}');
+
+    switch (node.action) {
+      case 'delete':
+        return `${table}.delete(${id})`;
+      case 'update':
+        return `${table}.update(${id}, ${data})`;
+      case 'insert':
+        return `${table}.insert(${data})`;
     }
 
-    // Update: @users[123]!{data}
-    const updateMatch = dbOp.match(/^@(\w+)\[([^\]]+)\]!(.+)$/);
-    if (updateMatch) {
-      const [, table, id, data] = updateMatch;
-      const compiledId = this.compileExpression(id);
-      const compiledData = this.compileExpression(data);
-      return `db.${table}.update(${compiledId}, ${compiledData})`;
+    // Past the declared tables, .name reads a property of the result: @users.length, @users[1].name
+    const { relations, properties } = this.splitRelations(node);
+    if (properties.length) {
+      const [name] = properties;
+      if (node.fields || node.filter || node.order || node.limit) {
+        this.diagnostics.error(`'${name}' is not a declared table, so @${node.table}.${name} reads a property; declare @${name}: {...} to join it`, node);
+      }
+      const read = this.compileDbOperation({ ...node, relations: relations.length ? relations : null }, scope, piped);
+      return `(await ${read}).${properties.join('.')}`;
     }
 
-    // Simple table reference
-    if (/^@\w+$/.test(dbOp)) {
-      const table = dbOp.substring(1);
-      return `db.${table}.findAll()`;
+    if (node.aggregate) {
+      const { fn, field, group } = node.aggregate;
+      const spec = [`fn: "${fn}"`];
+      if (field) spec.push(`field: ${JSON.stringify(field)}`);
+      if (group) spec.push(`group: [${group.map(name => JSON.stringify(name)).join(', ')}]`);
+      return `${table}.aggregate(${node.filter ? this.compileFilter(node.filter, scope) : 'null'}, {${spec.join(', ')}})`;
     }
 
-    // Get by ID: @users[123] or @users[$.id]
-    const byIdMatch = dbOp.match(/^@(\w+)\[([^\]]+)\]$/);
-    if (byIdMatch) {
-      const [, table, id] = byIdMatch;
-      const compiledId = this.compileExpression(id);
-      return `db.${table}.findById(${compiledId})`;
+    const options = this.compileQueryOptions(node, scope);
+    if (id) return `${table}.findById(${id}${options && `, ${options}`})`;
+    if (node.filter) return `${table}.findWhere(${this.compileFilter(node.filter, scope)}${options && `, ${options}`})`;
+    return `${table}.findAll(${options})`;
+  }
+
+  // The leading .names of a read that are declared tables, and the names after them
+  splitRelations(node) {
+    const names = node.relations || [];
+    const end = names.findIndex(name => !this.schemas.has(name) && !this.declaredTables.has(name));
+    if (end === -1) return { relations: names, properties: [] };
+    return { relations: names.slice(0, end), properties: names.slice(end) };
+  }
+
+  // Relations, field list, order and paging of a read, or '' when it has none
+  compileQueryOptions(node, scope) {
+    const options = [];
+    const columns = this.schemas.get(node.table) || [];
+    for (const name of node.relations || []) {
+      if (columns.includes(name)) {
+        this.diagnostics.error(`'${name}' is a column of ${node.table}, not a related table; read it with (@${node.table}[id]).${name}`, node);
+      }
     }
 
-    // Filter: @users?{active:true}
-    const filterMatch = dbOp.match(/^@(\w+)\?(.+)$/);
-    if (filterMatch) {
-      const [, table, filter] = filterMatch;
-      const compiledFilter = this.compileExpression(filter);
-      return `db.${table}.findWhere(${compiledFilter})`;
+    if (node.relations) options.push(`with: [${node.relations.map(name => JSON.stringify(name)).join(', ')}]`);
+    if (node.fields) options.push(`fields: [${node.fields.map(field => JSON.stringify(field)).join(', ')}]`);
+    if (node.order) options.push(`order: [${node.order.map(key => JSON.stringify(key)).join(', ')}]`);
+    if (node.limit) options.push(`limit: ${this.compileExpression(node.limit, scope)}`);
+    if (node.offset) options.push(`offset: ${this.compileExpression(node.offset, scope)}`);
+    return options.length ? `{${options.join(', ')}}` : '';
+  }
+
+  // Equality-only filters stay object literals; anything else becomes the clause list runtime queries read
+  // @users?{role:"admin"} -> {role: "admin"}
+  // @users?{age>21, role:"a" | role:"b"} -> [["age", ">", 21], {$or: [{role: "a"}, {role: "b"}]}]
+  compileFilter(node, scope) {
+    if (node.type !== 'Filter') return this.compileExpression(node, scope);
+
+    const isEquality = clause => clause.type === 'Spread' || (clause.type === 'Condition' && clause.operator === '=');
+    if (node.clauses.every(isEquality)) return this.compileFilterObject(node.clauses, scope);
+    return `[${node.clauses.map(clause => this.compileFilterClause(clause, scope)).join(', ')}]`;
+  }
+
+  compileFilterClause(clause, scope) {
+    switch (clause.type) {
+      case 'FilterOr':
+        return `{$or: [${clause.alternatives.map(alternative => this.compileFilterClause(alternative, scope)).join(', ')}]}`;
+      case 'FilterGroup':
+        return `[${clause.clauses.map(inner => this.compileFilterClause(inner, scope)).join(', ')}]`;
+      case 'Spread':
+        return this.compileFilterObject([clause], scope);
     }
+    if (clause.operator === '=') return this.compileFilterObject([clause], scope);
+    return `[${JSON.stringify(clause.field)}, "${clause.operator}", ${this.compileExpression(clause.value, scope)}]`;
+  }
 
-    // Insert: @users!{name:"x"}
-    const insertMatch = dbOp.match(/^@(\w+)!(.+)$/);
-    if (insertMatch) {
-      const [, table, data] = insertMatch;
-      const compiledData = this.compileExpression(data);
-      return `db.${table}.insert(${compiledData})`;
+  compileFilterObject(clauses, scope) {
+    const properties = clauses.map(clause => clause.type === 'Spread' ? clause : {
+      type: 'Property',
+      key: /^[A-Za-z_$][\w$]*$/.test(clause.field) ? clause.field : JSON.stringify(clause.field),
+      computed: false,
+      value: clause.value,
+      shorthand: clause.shorthand
+    });
+    return `{${properties.map(prop => this.compileProperty(prop, scope)).join(', ')}}`;
+  }
+
+  compileExpression(node, scope) {
+    const code = this.compileNode(node, scope);
+    return node.parenthesized ? `(${code})` : code;
+  }
+
+  compileNode(node, scope) {
+    const compile = child => this.compileExpression(child, scope);
+
+    switch (node.type) {
+      case 'Literal':
+        return node.raw;
+
+      case 'Identifier':
+        return this.compileIdentifier(node, scope);
+
+      case 'Member': {
+        const object = compile(node.object);
+        if (node.computed) return `${object}${node.optional ? '?.' : ''}[${compile(node.property)}]`;
+        return `${object}${node.optional ? '?.' : '.'}${node.property}`;
+      }
+
+      case 'Call': {
+        // env("KEY") and env(KEY) read environment variables
+        if (node.callee.type === 'Identifier' && node.callee.name === 'env' && !this.isLocal(scope, 'env')) {
+          return this.compileEnv(node.args[0], scope);
+        }
+        const args = node.args.map(compile).join(', ');
+        if (this.isFunctionCall(node, scope)) return `(await ${compile(node.callee)}(${args}))`;
+        return `${compile(node.callee)}${node.optional ? '?.' : ''}(${args})`;
+      }
+
+      case 'New':
+        return `new ${compile(node.callee)}(${node.args.map(compile).join(', ')})`;
+
+      case 'Spread':
+        return `...${compile(node.argument)}`;
+
+      case 'Unary':
+      case 'Update':
+        if (!node.prefix) return `${compile(node.argument)}${node.operator}`;
+        if (/^[a-z]/.test(node.operator)) return `${node.operator} ${compile(node.argument)}`;
+        return `${node.operator}${compile(node.argument)}`;
+
+      case 'Binary':
+        return `${compile(node.left)} ${node.operator} ${compile(node.right)}`;
+
+      case 'Conditional':
+        return `${compile(node.test)} ? ${compile(node.consequent)} : ${compile(node.alternate)}`;
+
+      case 'Transaction':
+        this.diagnostics.error('@tx{...} runs as a pipeline stage or statement, not inside an expression', node);
+        return 'undefined';
+
+      // Only a whole stage may respond; see isGuard()
+      case 'Response':
+        this.diagnostics.error('Responses (#) can only be used as a pipeline stage', node);
+        return 'undefined';
+
+      case 'Assign':
+        return `${compile(node.left)} = ${compile(node.right)}`;
+
+      case 'Array':
+        return `[${node.elements.map(compile).join(', ')}]`;
+
+      case 'Object':
+        return `{${node.properties.map(prop => this.compileProperty(prop, scope)).join(', ')}}`;
+
+      case 'Arrow':
+        return this.compileArrow(node, scope);
+
+      case 'Template':
+        return this.compileTemplate(node.quasis, node.expressions.map(compile), false);
+
+      case 'Html':
+        return this.compileTemplate(node.quasis, node.expressions.map(expr => (
+          expr.type === 'Pipeline' ? `utils.html(${compile(expr)})` : compile(expr)
+        )), true);
+
+      case 'DbOp':
+        return `(await ${this.compileDbOperation(node, scope)})`;
+
+      case 'Parallel':
+        return `(await ${this.compileParallel(node, scope)})`;
+
+      case 'Match':
+        return this.compileMatch(node, scope);
+
+      case 'Pipeline':
+        return this.compileInlinePipeline(node, scope);
     }
 
-    return `db.${dbOp.substring(1)}.findAll()`;
+    this.diagnostics.error(`${node.type} cannot be used as a value here`, node);
+    return 'undefined';
   }
 
-  compileExpression(expr, contextVar = null) {
-    // Don't transform if it's already JavaScript
-    if (!expr) return expr;
+  compileIdentifier(node, scope) {
+    const { name } = node;
+    if (this.isLocal(scope, name) || this.globals.has(name)) return name;
+
+    // _ is the value flowing through the pipeline
+    if (name === '_') {
+      if (!scope.context) this.diagnostics.warning(`'_' has no piped value here`, node);
+      return scope.context || 'undefined';
+    }
+
+    if (BUILTIN_VALUES[name]) return BUILTIN_VALUES[name];
+    if (BUILTIN_FUNCTIONS[name]) return BUILTIN_FUNCTIONS[name];
 
-    // Replace $ with req parameters
-    expr = expr.replace(/\$\.body/g, 'req.body');
-    expr = expr.replace(/\$\.query/g, 'req.query');
-    expr = expr.replace(/\$\.params/g, 'req.params');
-    expr = expr.replace(/\$\.headers/g, 'req.headers');
-    expr = expr.replace(/\$\.(\w+)/g, 'req.params.$1');
+    if (!KNOWN_NAMES.has(name) && !(name in globalThis)) {
+      this.diagnostics.error(`Unknown symbol '${name}'`, node);
+    }
+    return name;
+  }
 
-    // Replace utility functions (only if not already prefixed)
-    expr = expr.replace(/\bnow\b/g, 'Date.now()');
-    expr = expr.replace(/\buuid\b/g, 'utils.uuid()');
-    expr = expr.replace(/\bhash\(/g, 'utils.hash(');
+  compileEnv(arg, scope) {
+    if (!arg) return 'process.env';
+    if (arg.type === 'Identifier') return `process.env.${arg.name}`;
+    if (arg.type === 'Literal' && /^["'][A-Za-z_$][\w$]*["']$/.test(arg.raw)) {
+      return `process.env.${arg.raw.slice(1, -1)}`;
+    }
+    return `process.env[${this.compileExpression(arg, scope)}]`;
+  }
 
-    // Handle env() function
-    if (expr.includes('env(')) {
-      expr = expr.replace(/env\(["']([^"']+)["']\)/g, 'process.env.$1');
-      expr = expr.replace(/env\(([^)]+)\)/g, 'process.env[$1]');
+  compileProperty(prop, scope) {
+    if (prop.type === 'Spread') return `...${this.compileExpression(prop.argument, scope)}`;
+    if (prop.shorthand) {
+      const value = this.compileIdentifier(prop.value, scope);
+      return value === prop.key ? prop.key : `${prop.key}: ${value}`;
     }
+    const key = prop.computed ? `[${this.compileExpression(prop.key, scope)}]` : prop.key;
+    return `${key}: ${this.compileExpression(prop.value, scope)}`;
+  }
+
+  compileArrow(node, scope) {
+    const inner = this.createScope(scope);
+    node.params.forEach(param => inner.locals.add(param));
+
+    let body = this.compileExpression(node.body, inner);
+    if (node.body.type === 'Object' && !node.body.parenthesized) body = `(${body})`;
+
+    // Arrows containing DB operations or fn calls must be async to await them
+    const isAsync = node.async || this.containsAwait(node.body);
+
+    return `${isAsync ? 'async ' : ''}(${node.params.join(', ')}) => ${body}`;
+  }
+
+  // Template literals and ~<html> both become JavaScript template strings
+  compileTemplate(quasis, expressions, escape) {
+    const text = raw => escape ? raw.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') : raw;
+    let out = '`' + text(quasis[0]);
+    expressions.forEach((expr, i) => {
+      out += '${' + expr + '}' + text(quasis[i + 1]);
+    });
+    return out + '`';
+  }
 
-    return expr;
+  // @tx{...} -> const data0 = await db.transaction(async () => {...}); the block's last value is the result
+  compileTransaction(node, scope, target) {
+    const body = this.compileBlock(node.body, { ...this.createScope(scope), kind: 'transaction' });
+    return [
+      this.at(node, `const ${target} = await db.transaction(async () => {`),
+      ...body.lines.map(line => ({ ...line, code: `  ${line.code}` })),
+      this.at(node, '});')
+    ];
   }
 
-  compileBlock(block) {
+  compileBlock(block, scope) {
     // Handle code blocks {...}
-    const lines = block.slice(1, -1).split('\n').map(l => l.trim()).filter(l => l);
-    const compiled = lines.map(line => {
-      if (line.includes(':')) {
-        const [name, value] = line.split(':').map(s => s.trim());
-        return `const ${name} = ${this.compileExpression(value)};`;
+    const lines = [];
+    let value = null;
+    let responded = false;
+    let unreachable = false;
+
+    block.body.forEach((statement, i) => {
+      const isLast = i === block.body.length - 1;
+
+      // Only the first dead statement is worth reporting
+      if (responded) {
+        if (!unreachable) this.diagnostics.warning('Unreachable statement after a response', statement);
+        unreachable = true;
+        return;
+      }
+
+      // name: value
+      if (statement.type === 'Declaration') {
+        lines.push(...this.compileDeclaration(statement, scope));
+        return;
+      }
+
+      // Statements before the last one run for their side effects
+      const { stages } = statement.expression;
+      const stage = stages[0];
+      const statementOnly = ['Response', 'Block', 'Transaction'].includes(stage.type);
+      if (!isLast && stages.length === 1 && !statementOnly && !this.isGuard(stage)) {
+        lines.push(this.at(stage, stage.type === 'DbOp'
+          ? `await ${this.compileDbOperation(stage, scope)};`
+          : `${this.needsAwait(stage) ? 'await ' : ''}${this.compileExpression(stage, scope)};`));
+        return;
       }
-      return this.compileExpression(line) + ';';
+
+      const result = this.compilePipeline(statement.expression, scope);
+      lines.push(...result.lines);
+      responded = result.responded;
+      value = isLast ? result.value : null;
     });
 
-    return compiled.join('\n    ');
+    // The last expression of a block is the response
+    if (value) {
+      lines.push(this.at(block.body[block.body.length - 1], this.finish(scope, value)));
+      responded = true;
+    }
+    return { lines, value: null, responded };
+  }
+
+  compileDeclaration(node, scope) {
+    const { stages } = node.value;
+
+    // Single expressions assign directly: name: expr
+    if (stages.length === 1 && !['Block', 'Response', 'Transaction'].includes(stages[0].type) && !this.isGuard(stages[0])) {
+      const stage = stages[0];
+      const compiled = stage.type === 'DbOp'
+        ? `await ${this.compileDbOperation(stage, scope)}`
+        : `${this.needsAwait(stage) ? 'await ' : ''}${this.compileExpression(stage, scope)}`;
+      scope.locals.add(node.name);
+      return [this.at(node, `const ${node.name} = ${compiled};`)];
+    }
+
+    const result = this.compilePipeline(node.value, scope);
+    scope.locals.add(node.name);
+    if (result.responded) return result.lines;
+    return [...result.lines, this.at(node, `const ${node.name} = ${result.value};`)];
+  }
+
+  compileFunction(node) {
+    // fn add(a, b) a + b -> async function add(a, b) { return a + b; }
+    const scope = this.createScope();
+    scope.kind = 'function';
+    node.params.forEach(param => scope.locals.add(param.replace(/^\.\.\./, '')));
+
+    this.output.push('');
+    this.emit(`async function ${node.name}(${node.params.join(', ')}) {`, node);
+
+    const { body } = node;
+    const single = body.type === 'Pipeline' && body.stages.length === 1 && body.stages[0];
+    if (single && !['Response', 'Block', 'DbOp', 'Transaction', 'Parallel'].includes(single.type) && !this.isGuard(single)) {
+      this.emit(`  return ${this.compileExpression(single, scope)};`, single);
+    } else {
+      const { lines } = body.type === 'Block' ? this.compileBlock(body, scope) : this.compileHandler(body, scope);
+      this.emitLines(lines, '  ');
+    }
+
+    this.output.push('}');
   }
 
-  compileDbConfig(line) {
+  compileDbConfig(node) {
     // @:postgres(env(DB_URL))
     // @:sqlite("./db.sqlite")
-    const match = line.match(/@:(\w+)\((.+)\)/);
-    if (match) {
-      const [, dbType, config] = match;
-      const compiledConfig = this.compileExpression(config);
-      this.output.push(`// Database configuration: ${dbType}`);
-      this.output.push(`db.connect('${dbType}', ${compiledConfig});`);
-    }
+    const compiledConfig = node.config ? this.compileExpression(node.config, this.createScope()) : 'undefined';
+    this.output.push(`// Database configuration: ${node.driver}`);
+    this.emit(`db.connect('${node.driver}', ${compiledConfig});`, node);
   }
 
-  compileLine(line) {
-    // Handle general statements
-    this.output.push(this.compileExpression(line) + ';');
+  compileSchema(node) {
+    // @users: {id: int.pk.auto, email: str.unique}
+    //   -> db.define('users', { id: { type: 'int', pk: true, auto: true }, email: { type: 'str', unique: true } })
+    if (this.schemas.has(node.table)) this.diagnostics.error(`Table '${node.table}' is already declared`, node);
+    this.schemas.set(node.table, node.columns.map(column => column.name));
+
+    const seen = new Set();
+    const keys = node.columns.filter(column => column.modifiers.some(modifier => modifier.name === 'pk'));
+    if (keys.length > 1) this.diagnostics.error(`Table '${node.table}' can only have one pk column`, keys[1]);
+
+    this.output.push('');
+    this.output.push(`// Schema: ${node.table}`);
+    this.emit(`db.define('${node.table}', {`, node);
+    const specs = node.columns.map((column, i) => {
+      if (seen.has(column.name)) this.diagnostics.error(`Column '${column.name}' is already declared`, column);
+      seen.add(column.name);
+      const spec = `${column.name}: { ${this.compileColumn(column).join(', ')} }`;
+      this.emit(`  ${spec}${i < node.columns.length - 1 ? ',' : ''}`, column);
+      return spec;
+    });
+    this.output.push('});');
+    this.tables.push({ table: node.table, columns: `{ ${specs.join(', ')} }` });
   }
 
-  extractBlock(text, startPos) {
-    let depth = 0;
-    let inString = false;
-    let endPos = startPos;
+  // One column's type and modifiers as object properties
+  compileColumn(column) {
+    const props = [`type: '${column.type}'`];
+    const constant = arg => arg.type === 'Literal' ||
+      (arg.type === 'Identifier' && ['true', 'false', 'null'].includes(arg.name)) ||
+      (arg.type === 'Unary' && arg.operator === '-' && arg.argument.type === 'Literal');
 
-    for (let i = startPos; i < text.length; i++) {
-      const char = text[i];
+    if (!TYPES.includes(column.type)) {
+      const suggestion = closest(column.type, TYPES);
+      this.diagnostics.error(`Unknown column type '${column.type}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`, column);
+    }
 
-      if (char === '"' || char === "'") inString = !inString;
-      if (!inString) {
-        if (char === '{') depth++;
-        if (char === '}') {
-          depth--;
-          if (depth === 0) {
-            endPos = i;
+    const args = column.args;
+    if (args.some(arg => !constant(arg))) {
+      this.diagnostics.error(`Arguments of ${column.type} must be literal values`, column);
+    } else if (column.type === 'enum') {
+      if (!args.length) this.diagnostics.error('enum needs its values: enum("user", "admin")', column);
+      props.push(`values: [${args.map(arg => this.compileExpression(arg, this.createScope())).join(', ')}]`);
+    } else if (column.type === 'decimal' && args.length) {
+      props.push(`precision: ${args[0].raw}`);
+      if (args[1]) props.push(`scale: ${args[1].raw}`);
+    } else if (column.type === 'str' && args.length) {
+      props.push(`length: ${args[0].raw}`);
+    } else if (args.length) {
+      this.diagnostics.error(`${column.type} takes no arguments`, column);
+    }
+
+    const names = column.modifiers.map(modifier => modifier.name);
+    if (names.includes('required') && names.includes('nullable')) {
+      this.diagnostics.error(`Column '${column.name}' can't be both required and nullable`, column);
+    }
+
+    for (const modifier of column.modifiers) {
+      const [arg] = modifier.args;
+
+      switch (modifier.name) {
+        case 'default':
+        case 'onUpdate': {
+          if (modifier.args.length !== 1) {
+            this.diagnostics.error(`${modifier.name} needs one value: ${modifier.name}(now)`, modifier);
             break;
           }
+          // Literals and now go into the table definition, anything else is evaluated per row
+          const value = this.compileExpression(arg, this.createScope());
+          if (arg.type === 'Identifier' && arg.name === 'now') props.push(`${modifier.name}: Date.now`);
+          else if (modifier.name === 'default' && constant(arg)) props.push(`default: ${value}`);
+          else props.push(`${modifier.name}: () => ${value}`);
+          break;
         }
+        case 'fk':
+          if (modifier.args.length !== 1 || arg.type !== 'DbOp' || arg.id || arg.filter || arg.action !== 'find') {
+            this.diagnostics.error('fk needs the table it points at: fk(@users)', modifier);
+            break;
+          }
+          props.push(`fk: '${arg.table}'`);
+          break;
+        case 'auto':
+          if (column.type !== 'int') this.diagnostics.error(`Only int columns can be auto, not ${column.type}`, modifier);
+          props.push('auto: true');
+          break;
+        case 'nullable':
+          // Columns are nullable unless required; this just says so
+          break;
+        default:
+          if (!MODIFIERS.includes(modifier.name)) {
+            const suggestion = closest(modifier.name, MODIFIERS);
+            this.diagnostics.error(`Unknown column modifier '.${modifier.name}'${suggestion ? `, did you mean '.${suggestion}'?` : ''}`, modifier);
+            break;
+          }
+          if (modifier.args.length) this.diagnostics.error(`.${modifier.name} takes no arguments`, modifier);
+          props.push(`${modifier.name}: true`);
       }
     }
 
-    return text.substring(startPos, endPos + 1);
+    return props;
+  }
+
+  compileLine(node) {
+    // Handle general statements
+    const { stages } = node.type === 'Declaration' ? node.value : node.expression;
+    const scope = this.createScope();
+
+    const response = stages
+      .flatMap(stage => stage.type === 'Catch' ? stage.cases.map(branch => branch.handler) : [stage])
+      .find(stage => stage.type === 'Response' || this.isGuard(stage));
+    if (response) {
+      this.diagnostics.error('Responses can only be used inside routes', response);
+      return;
+    }
+
+    // Top-level values share one scope, so the lines that compute them can't collide
+    if (node.type === 'Declaration') {
+      this.emitLines(this.compileDeclaration(node, this.moduleScope), '');
+      return;
+    }
+
+    if (stages.length === 1 && !['DbOp', 'Block', 'Transaction'].includes(stages[0].type)) {
+      const name = assignedName(node);
+      const declare = name && this.values.delete(name) ? 'let ' : '';
+      this.emit(`${declare}${this.compileExpression(stages[0], scope)};`, node);
+      return;
+    }
+
+    const { lines } = this.compilePipeline(node.expression, scope);
+    this.output.push('{');
+    this.emitLines(lines, '  ');
+    this.output.push('}');
   }
 }
 
+// The name a top-level `name = value` line assigns, or null
+function assignedName(node) {
+  if (node.type !== 'ExpressionStatement') return null;
+  const { stages } = node.expression;
+  const [stage] = stages;
+  return stages.length === 1 && stage.type === 'Assign' && stage.left.type === 'Identifier' ? stage.left.name : null;
+}
+
+// Imports of other C-slop files are linked by the loader rather than required
+function isSlopImport(node) {
+  return node.source.endsWith('.slop');
+}
+
+// import a, {b, c as d} from "x" -> ['a', 'b', 'd']
+function importedNames(specifiers) {
+  return specifiers
+    .replace(/[{}]/g, ',')
+    .split(',')
+    .map(part => part.trim().split(/\s+as\s+/).pop().trim())
+    .filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+// Closest candidate within two edits, for "did you mean" hints
+function closest(name, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
 function compile(code, options = {}) {
   const compiler = new Compiler(code, options);
   return compiler.compile();
 }
 
-module.exports = { compile, Compiler };
+// Run every compile-time check and return the diagnostics instead of throwing
+function check(code, options = {}) {
+  const compiler = new Compiler(code, { ...options, onWarning: () => {} });
+  try {
+    compiler.compile();
+  } catch (error) {
+    if (!(error instanceof CompileError)) throw error;
+  }
+  return compiler.diagnostics;
+}
+
+module.exports = { compile, check, Compiler, isSlopImport };
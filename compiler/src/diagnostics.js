@@ -0,0 +1,96 @@
+/**
+ * C-slop Diagnostics
+ * Collects compile errors and warnings and formats them with code frames
+ */
+
+// Thrown by the lexer and parser; line/column point into the .slop source
+class SlopSyntaxError extends SyntaxError {
+  constructor(reason, line, column) {
+    super(`${reason} (${line}:${column})`);
+    this.name = 'SlopSyntaxError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Thrown by compile() when a file has one or more errors
+class CompileError extends Error {
+  constructor(diagnostics, message) {
+    super(message);
+    this.name = 'CompileError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Render the lines around line:column with a caret under the column
+ */
+function codeFrame(source, line, column, context = 2) {
+  const lines = source.split('\n');
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + 1);
+  const width = String(last).length;
+  const frame = [];
+
+  for (let n = first; n <= last; n++) {
+    const text = (lines[n - 1] || '').replace(/\r$/, '');
+    const gutter = String(n).padStart(width);
+    frame.push(`${n === line ? '>' : ' '} ${gutter} | ${text}`);
+
+    if (n === line) {
+      // Keep tabs so the caret lines up with the source
+      const pad = text.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${pad}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+class Diagnostics {
+  constructor(source, filename = 'input.slop') {
+    this.source = source;
+    this.filename = filename;
+    this.list = [];
+  }
+
+  add(severity, message, at = {}) {
+    this.list.push({
+      severity,
+      message,
+      filename: this.filename,
+      line: at.line || 1,
+      column: at.column || 1
+    });
+  }
+
+  error(message, at) {
+    this.add('error', message, at);
+  }
+
+  warning(message, at) {
+    this.add('warning', message, at);
+  }
+
+  get errors() {
+    return this.list.filter(d => d.severity === 'error');
+  }
+
+  get warnings() {
+    return this.list.filter(d => d.severity === 'warning');
+  }
+
+  format(diagnostic) {
+    const { filename, line, column, severity, message } = diagnostic;
+    return `${filename}:${line}:${column}: ${severity}: ${message}\n${codeFrame(this.source, line, column)}`;
+  }
+
+  toError() {
+    const errors = this.errors;
+    const summary = errors.length === 1 ? '' : `\n\n${errors.length} errors in ${this.filename}`;
+    return new CompileError(errors, errors.map(d => this.format(d)).join('\n\n') + summary);
+  }
+}
+
+module.exports = { Diagnostics, SlopSyntaxError, CompileError, codeFrame };
@@ -0,0 +1,61 @@
+/**
+ * C-slop Errors
+ * Named runtime errors that >| catch maps match by name, each with the HTTP status it maps to
+ */
+
+class SlopError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+// A record that had to exist didn't, e.g. @users[$.id] with an unknown id
+class NotFound extends SlopError {
+  constructor(message = 'Not found') {
+    super(message, 404);
+  }
+}
+
+class BadRequest extends SlopError {
+  constructor(message = 'Bad request') {
+    super(message, 400);
+  }
+}
+
+class AuthErr extends SlopError {
+  constructor(message = 'Unauthorized') {
+    super(message, 401);
+  }
+}
+
+class Forbidden extends SlopError {
+  constructor(message = 'Forbidden') {
+    super(message, 403);
+  }
+}
+
+// A UNIQUE column (or primary key) already holds the value being written
+class UniqueViolation extends SlopError {
+  constructor(message = 'Already exists') {
+    super(message, 409);
+  }
+}
+
+// A foreign key points at a row that doesn't exist, or a row that is still referenced is being deleted
+class ForeignKeyViolation extends SlopError {
+  constructor(message = 'Foreign key constraint failed') {
+    super(message, 409);
+  }
+}
+
+module.exports = {
+  SlopError,
+  NotFound,
+  BadRequest,
+  AuthErr,
+  Forbidden,
+  UniqueViolation,
+  ForeignKeyViolation
+};
@@ -2,13 +2,26 @@
  * C-slop Main Entry Point
  */
 
-const { compile, Compiler } = require('./compiler');
-const { createRuntime, Database, utils } = require('./runtime');
+const { tokenize } = require('./lexer');
+const { parse } = require('./parser');
+const { compile, check, Compiler } = require('./compiler');
+const { Diagnostics, CompileError } = require('./diagnostics');
+const { createRuntime, Database, registerAdapter, utils } = require('./runtime');
+const errors = require('./errors');
+const { runFile } = require('./loader');
 
 module.exports = {
+  tokenize,
+  parse,
   compile,
+  check,
   Compiler,
+  Diagnostics,
+  CompileError,
   createRuntime,
+  runFile,
   Database,
-  utils
+  registerAdapter,
+  utils,
+  errors
 };
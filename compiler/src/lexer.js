@@ -0,0 +1,366 @@
+/**
+ * C-slop Lexer
+ * Turns .slop source into a flat list of tokens
+ */
+
+const { SlopSyntaxError } = require('./diagnostics');
+
+// Longest operators first so '===' wins over '==' and '='
+const OPERATORS = [
+  '===', '!==', '...', '>>#',
+  '**', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '=>', '++', '--',
+  '>|', '>>', '>?', '>+', '>!',
+  '>', '<', '+', '-', '*', '/', '%', '=', '!', '?', ':', '.', ',', ';',
+  '(', ')', '[', ']', '{', '}', '@', '#', '~', '^', '&', '|'
+];
+
+// Elements that never get a closing tag inside ~<html> literals
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+class Lexer {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.pos = options.start || 0;
+    this.end = options.end !== undefined ? options.end : source.length;
+    this.tokens = [];
+    this.lineStarts = Lexer.lineStarts(source);
+  }
+
+  static lineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  // Convert an absolute offset to a 1-based line/column pair
+  location(pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: pos - this.lineStarts[low] + 1 };
+  }
+
+  error(message, pos) {
+    const { line, column } = this.location(pos);
+    throw new SlopSyntaxError(message, line, column);
+  }
+
+  push(type, value, start, extra = {}) {
+    const { line, column } = this.location(start);
+    this.tokens.push({ type, value, start, end: this.pos, line, column, ...extra });
+  }
+
+  // True when only whitespace precedes pos on its line
+  atLineStart(pos) {
+    for (let i = pos - 1; i >= 0; i--) {
+      const char = this.source[i];
+      if (char === '\n') return true;
+      if (char !== ' ' && char !== '\t' && char !== '\r') return false;
+    }
+    return true;
+  }
+
+  tokenize() {
+    const src = this.source;
+
+    while (this.pos < this.end) {
+      const char = src[this.pos];
+      const start = this.pos;
+
+      // Whitespace
+      if (char === ' ' || char === '\t' || char === '\r') {
+        this.pos++;
+        continue;
+      }
+
+      // Newlines are significant: they separate statements
+      if (char === '\n') {
+        this.pos++;
+        const last = this.tokens[this.tokens.length - 1];
+        if (last && last.type !== 'newline') this.push('newline', '\n', start);
+        continue;
+      }
+
+      // Comments
+      if (char === '/' && src[this.pos + 1] === '/') {
+        while (this.pos < this.end && src[this.pos] !== '\n') this.pos++;
+        continue;
+      }
+      if (char === '/' && src[this.pos + 1] === '*') {
+        const close = src.indexOf('*/', this.pos + 2);
+        if (close === -1 || close >= this.end) this.error('Unterminated comment', start);
+        this.pos = close + 2;
+        continue;
+      }
+
+      // Route definitions: */path, **, */admin/*
+      if (char === '*' && (src[this.pos + 1] === '/' || src[this.pos + 1] === '*') && this.atLineStart(start)) {
+        this.pos++;
+        while (this.pos < this.end && !/\s/.test(src[this.pos])) this.pos++;
+        this.push('route', src.slice(start + 1, this.pos), start);
+        continue;
+      }
+
+      // Identifiers ($ and _ are ordinary identifier characters)
+      if (/[A-Za-z_$]/.test(char)) {
+        while (this.pos < this.end && /[\w$]/.test(src[this.pos])) this.pos++;
+        this.push('ident', src.slice(start, this.pos), start);
+        continue;
+      }
+
+      // Numbers
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(src[this.pos + 1]))) {
+        this.readNumber();
+        this.push('number', src.slice(start, this.pos), start);
+        continue;
+      }
+
+      // Strings
+      if (char === '"' || char === "'") {
+        this.push('string', this.readString(char), start);
+        continue;
+      }
+
+      // Template literals
+      if (char === '`') {
+        const parts = this.readTemplate();
+        this.push('template', src.slice(start, this.pos), start, parts);
+        continue;
+      }
+
+      // Inline HTML: ~<div>{expr}</div>
+      if (char === '~' && src[this.pos + 1] === '<' && /[A-Za-z]/.test(src[this.pos + 2] || '')) {
+        this.pos++;
+        const parts = this.readHtml();
+        this.push('html', src.slice(start, this.pos), start, parts);
+        continue;
+      }
+
+      // Operators and punctuation
+      const op = OPERATORS.find(o => src.startsWith(o, this.pos));
+      if (op) {
+        // a?.5:b is a conditional, not optional chaining
+        if (op === '?.' && /[0-9]/.test(src[this.pos + 2] || '')) {
+          this.pos++;
+          this.push('op', '?', start);
+          continue;
+        }
+        this.pos += op.length;
+        this.push('op', op, start);
+        continue;
+      }
+
+      this.error(`Unexpected character '${char}'`, start);
+    }
+
+    this.push('eof', null, this.pos);
+    this.checkBrackets();
+    return this.tokens;
+  }
+
+  // Report unbalanced brackets at the bracket itself rather than wherever parsing gives up
+  checkBrackets() {
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    const stack = [];
+
+    for (const token of this.tokens) {
+      if (token.type !== 'op') continue;
+
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        stack.push(token);
+      } else if (pairs[token.value]) {
+        const open = stack.pop();
+        if (!open) this.error(`Unmatched '${token.value}'`, token.start);
+        if (open.value !== pairs[token.value]) {
+          this.error(`Expected a match for '${open.value}' from ${open.line}:${open.column} but found '${token.value}'`, token.start);
+        }
+      }
+    }
+
+    if (stack.length) {
+      const open = stack[stack.length - 1];
+      this.error(`Unclosed '${open.value}'`, open.start);
+    }
+  }
+
+  readNumber() {
+    const src = this.source;
+    if (src[this.pos] === '0' && /[xXbBoO]/.test(src[this.pos + 1] || '')) {
+      this.pos += 2;
+      while (this.pos < this.end && /[0-9a-fA-F_]/.test(src[this.pos])) this.pos++;
+      return;
+    }
+    while (this.pos < this.end && /[0-9_]/.test(src[this.pos])) this.pos++;
+    if (src[this.pos] === '.' && /[0-9]/.test(src[this.pos + 1] || '')) {
+      this.pos++;
+      while (this.pos < this.end && /[0-9_]/.test(src[this.pos])) this.pos++;
+    }
+    if (/[eE]/.test(src[this.pos] || '') && /[0-9+-]/.test(src[this.pos + 1] || '')) {
+      this.pos += 2;
+      while (this.pos < this.end && /[0-9]/.test(src[this.pos])) this.pos++;
+    }
+  }
+
+  // Returns the literal as valid JavaScript (raw newlines are escaped)
+  readString(quote) {
+    const start = this.pos;
+    const src = this.source;
+    let value = quote;
+    this.pos++;
+
+    while (this.pos < this.end) {
+      const char = src[this.pos];
+      if (char === '\\') {
+        value += char + (src[this.pos + 1] || '');
+        this.pos += 2;
+        continue;
+      }
+      if (char === quote) {
+        this.pos++;
+        return value + quote;
+      }
+      if (char === '\n') value += '\\n';
+      else if (char !== '\r') value += char;
+      this.pos++;
+    }
+
+    this.error('Unterminated string', start);
+  }
+
+  // Skip a balanced {...} region, respecting strings; returns the index of the closing brace
+  skipBraces(open) {
+    const src = this.source;
+    let depth = 0;
+    let i = open;
+
+    while (i < this.end) {
+      const char = src[i];
+      if (char === '"' || char === "'" || char === '`') {
+        i++;
+        while (i < this.end && src[i] !== char) {
+          if (src[i] === '\\') i++;
+          i++;
+        }
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+      i++;
+    }
+
+    this.error('Unterminated interpolation', open);
+  }
+
+  readTemplate() {
+    const src = this.source;
+    const start = this.pos;
+    const quasis = [];
+    const expressions = [];
+    let text = '';
+    this.pos++;
+
+    while (this.pos < this.end) {
+      const char = src[this.pos];
+      if (char === '\\') {
+        text += char + src[this.pos + 1];
+        this.pos += 2;
+        continue;
+      }
+      if (char === '`') {
+        this.pos++;
+        quasis.push(text);
+        return { quasis, expressions };
+      }
+      if (char === '$' && src[this.pos + 1] === '{') {
+        const close = this.skipBraces(this.pos + 1);
+        quasis.push(text);
+        expressions.push({ start: this.pos + 2, end: close });
+        text = '';
+        this.pos = close + 1;
+        continue;
+      }
+      text += char;
+      this.pos++;
+    }
+
+    this.error('Unterminated template literal', start);
+  }
+
+  // Reads balanced markup starting at '<'; {expr} holes become expressions
+  readHtml() {
+    const src = this.source;
+    const start = this.pos;
+    const quasis = [];
+    const expressions = [];
+    let text = '';
+    let depth = 0;
+
+    while (this.pos < this.end) {
+      const char = src[this.pos];
+
+      if (char === '{') {
+        const close = this.skipBraces(this.pos);
+        quasis.push(text);
+        expressions.push({ start: this.pos + 1, end: close });
+        text = '';
+        this.pos = close + 1;
+        continue;
+      }
+
+      if (char === '<') {
+        const closing = src[this.pos + 1] === '/';
+        const tag = (src.slice(this.pos + (closing ? 2 : 1)).match(/^[A-Za-z][\w-]*/) || [''])[0];
+        let selfClosing = false;
+
+        // Copy the tag itself, allowing {expr} holes in attributes
+        while (this.pos < this.end && src[this.pos] !== '>') {
+          if (src[this.pos] === '{') {
+            const close = this.skipBraces(this.pos);
+            quasis.push(text);
+            expressions.push({ start: this.pos + 1, end: close });
+            text = '';
+            this.pos = close + 1;
+            continue;
+          }
+          text += src[this.pos];
+          this.pos++;
+        }
+        if (this.pos >= this.end) this.error('Unterminated HTML tag', start);
+        selfClosing = src[this.pos - 1] === '/';
+        text += '>';
+        this.pos++;
+
+        if (closing) depth--;
+        else if (!selfClosing && !VOID_ELEMENTS.has(tag.toLowerCase())) depth++;
+
+        if (depth <= 0) {
+          quasis.push(text);
+          return { quasis, expressions };
+        }
+        continue;
+      }
+
+      if (char === '\n' && depth <= 0) break;
+      text += char;
+      this.pos++;
+    }
+
+    this.error('Unterminated HTML literal', start);
+  }
+}
+
+function tokenize(source, options = {}) {
+  return new Lexer(source, options).tokenize();
+}
+
+module.exports = { Lexer, tokenize, OPERATORS };
@@ -0,0 +1,224 @@
+/**
+ * C-slop Loader
+ * Compiles a .slop file and runs it on the runtime, with stack traces mapped back to the source
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Compiler, isSlopImport } = require('./compiler');
+const { createRuntime } = require('./runtime');
+const { parse } = require('./parser');
+const { Diagnostics } = require('./diagnostics');
+const { registerSourceMap } = require('./sourcemap');
+
+/**
+ * Compile and start a .slop file; throws on compile errors, rejects on runtime errors
+ * `routes` are extra files ({file, prefix}) mounted after the entry file's own routes
+ */
+function runFile(fullPath, options = {}) {
+  const basePath = options.basePath || path.dirname(fullPath);
+  const routes = options.routes || [];
+  const modules = link([fullPath, ...routes.map(route => route.file)], options);
+  const runtime = createRuntime({ basePath });
+
+  // Every file runs once, on the same db, the first time something imports or mounts it
+  const instances = new Map();
+  const instantiate = (modulePath, on = runtime) => {
+    if (!instances.has(modulePath)) {
+      const { compiled, generatedFile } = modules.get(modulePath);
+      instances.set(modulePath, execute(compiled, {
+        filename: generatedFile,
+        runtime: on,
+        dirname: path.dirname(modulePath),
+        sourcePath: modulePath
+      }));
+    }
+    return instances.get(modulePath);
+  };
+  runtime.importSlop = (source, from) => instantiate(path.resolve(path.dirname(from), source));
+  runtime.mountRoutes = async () => {
+    for (const route of routes) {
+      await instantiate(route.file, route.prefix ? runtime.mount(route.prefix) : runtime);
+    }
+  };
+
+  return instantiate(fullPath);
+}
+
+/**
+ * Start the project in `root` from slop.json's server.entry and server.routes
+ */
+function runProject(root, config = {}) {
+  const { entry, routes } = serverFiles(root, config);
+  if (!entry) throw new Error('No .slop entry file found; set server.entry in slop.json');
+  return runFile(entry, { filename: path.relative(root, entry), basePath: root, routes });
+}
+
+/**
+ * The backend files of the project in `root`: the entry file and the route files with their mount prefixes
+ *   "server": { "entry": "api.slop", "routes": ["routes/*.slop", {"file": "routes/admin.slop", "prefix": "/admin"}] }
+ */
+function serverFiles(root, config = {}) {
+  const server = (config && config.server) || {};
+
+  const routes = [];
+  for (const route of [].concat(server.routes || [])) {
+    const { file, prefix = null } = typeof route === 'string' ? { file: route } : route;
+    if (typeof file !== 'string') throw new Error('server.routes entries need a file: "routes/*.slop" or {"file": ..., "prefix": ...}');
+
+    const files = expandGlob(root, file);
+    if (files.length === 0 && !/[*?]/.test(file)) throw new Error(`server.routes: ${file} not found`);
+    for (const fullPath of files) {
+      // A file matched by several patterns keeps its first prefix
+      if (!routes.some(existing => existing.file === fullPath)) routes.push({ file: fullPath, prefix });
+    }
+  }
+
+  let entry = null;
+  if (server.entry) {
+    entry = path.resolve(root, server.entry);
+    if (!fs.existsSync(entry)) throw new Error(`server.entry: ${server.entry} not found`);
+  } else {
+    // router.slop is the frontend router, and route files are never the entry
+    const candidates = fs.readdirSync(root)
+      .filter(f => f.endsWith('.slop') && f !== 'router.slop')
+      .map(f => path.join(root, f))
+      .filter(file => !routes.some(route => route.file === file));
+    entry = ['api.slop', 'main.slop'].map(f => path.join(root, f)).find(file => candidates.includes(file)) ||
+      candidates[0] || null;
+  }
+
+  return { entry, routes: routes.filter(route => route.file !== entry) };
+}
+
+// Files under `root` matching `pattern`, sorted; * and ? stay within a directory, ** crosses them
+function expandGlob(root, pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!/[*?]/.test(normalized)) {
+    const file = path.resolve(root, normalized);
+    return fs.existsSync(file) ? [file] : [];
+  }
+
+  const source = normalized
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/|\*\*|\*|\?/g, match => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' })[match]);
+  const regex = new RegExp(`^${source}$`);
+
+  // Only walk below the part of the pattern without wildcards
+  const segments = normalized.split('/');
+  const base = segments.slice(0, segments.findIndex(segment => /[*?]/.test(segment))).join('/');
+  const files = [];
+  const walk = dir => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(fullPath);
+      else if (regex.test(path.relative(root, fullPath).split(path.sep).join('/'))) files.push(fullPath);
+    }
+  };
+  walk(path.resolve(root, base));
+  return files.sort();
+}
+
+/**
+ * Compile the entry file (first in `files`), the route files and every .slop file they import, keyed by full path
+ * Throws on compile errors and circular imports
+ */
+function link(files, options = {}) {
+  const modules = new Map();
+  const entryPath = files[0];
+  const basePath = options.basePath || path.dirname(entryPath);
+  const tables = declaredTables(files.flatMap(importGraph));
+
+  const visit = (modulePath, chain) => {
+    if (modules.has(modulePath)) return;
+
+    const code = fs.readFileSync(modulePath, 'utf8');
+    const filename = modulePath === entryPath && options.filename
+      ? options.filename
+      : path.relative(basePath, modulePath) || path.basename(modulePath);
+    const compiler = new Compiler(code, {
+      filename,
+      basePath: path.dirname(modulePath),
+      module: modulePath !== entryPath,
+      tables
+    });
+    const compiled = compiler.compile();
+
+    // Frames in the generated code report this name, which the source map turns back into the .slop path
+    const generatedFile = `${modulePath}.js`;
+    registerSourceMap(generatedFile, compiler.sourceMap({ file: generatedFile, source: modulePath }));
+    modules.set(modulePath, { compiled, generatedFile });
+
+    for (const node of compiler.slopImports) {
+      const target = path.resolve(path.dirname(modulePath), node.source);
+      const cycle = [...chain, modulePath];
+      if (cycle.includes(target)) {
+        const names = [...cycle.slice(cycle.indexOf(target)), target].map(file => path.relative(basePath, file) || path.basename(file));
+        const diagnostics = new Diagnostics(code, filename);
+        diagnostics.error(`Circular import: ${names.join(' -> ')}`, node);
+        throw diagnostics.toError();
+      }
+      visit(target, cycle);
+    }
+  };
+
+  files.forEach(file => visit(file, []));
+  return modules;
+}
+
+/**
+ * Every .slop file reachable from `entryPath` through imports, entry first; files that don't parse are still listed
+ */
+function importGraph(entryPath) {
+  const files = [];
+
+  const visit = file => {
+    if (files.includes(file) || !fs.existsSync(file)) return;
+    files.push(file);
+
+    let ast;
+    try {
+      ast = parse(fs.readFileSync(file, 'utf8'), { filename: file });
+    } catch {
+      return;
+    }
+    ast.body
+      .filter(node => node.type === 'Import' && isSlopImport(node))
+      .forEach(node => visit(path.resolve(path.dirname(file), node.source)));
+  };
+
+  visit(entryPath);
+  return files;
+}
+
+/**
+ * Names of the tables declared (@users: {...}) in `files`; files that don't parse declare none
+ */
+function declaredTables(files) {
+  const tables = new Set();
+  for (const file of files) {
+    try {
+      parse(fs.readFileSync(file, 'utf8'), { filename: file }).body
+        .filter(node => node.type === 'Schema')
+        .forEach(node => tables.add(node.table));
+    } catch {
+      // Syntax errors are reported when the file itself is compiled
+    }
+  }
+  return [...tables];
+}
+
+/**
+ * Run compiled C-slop JavaScript; line numbers in stack frames match the compiled code
+ */
+function execute(compiled, { filename, runtime, dirname, sourcePath }) {
+  const wrapper = `(async function (runtime, require, __dirname, __filename) {\n${compiled}\n})`;
+  const script = new vm.Script(wrapper, { filename, lineOffset: -1 });
+  const fn = script.runInThisContext();
+  return fn(runtime, require, dirname, sourcePath);
+}
+
+module.exports = { runFile, runProject, serverFiles, link, importGraph, declaredTables, execute };
@@ -0,0 +1,279 @@
+/**
+ * C-slop Migrations
+ * Diffs the declared @table schemas against a live SQLite database and applies timestamped migration files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Compiler } = require('./compiler');
+const { Database, utils } = require('./runtime');
+const { serverFiles, importGraph, declaredTables } = require('./loader');
+const { quote, createTableSQL } = require('./schema');
+const { SQLITE } = require('./query');
+
+const BOOKKEEPING_TABLE = 'slop_migrations';
+
+/**
+ * Every table declared by the project's backend files, in declaration order: [{ table, columns }]
+ */
+function loadSchemas(root, config) {
+  const { entry, routes } = serverFiles(root, config);
+  const files = [entry, ...routes.map(route => route.file)].filter(Boolean).flatMap(importGraph);
+  const declared = declaredTables(files);
+  const tables = [];
+
+  for (const file of new Set(files)) {
+    const compiler = new Compiler(fs.readFileSync(file, 'utf8'), {
+      filename: path.relative(root, file),
+      basePath: path.dirname(file),
+      module: true,
+      tables: declared,
+      onWarning: () => {}
+    });
+    compiler.compile();
+
+    for (const { table, columns } of compiler.tables) {
+      const evaluate = vm.runInThisContext(`(function (utils) { return (${columns}); })`);
+      tables.push({ table, columns: evaluate(utils) });
+    }
+  }
+
+  return tables;
+}
+
+// The column list of a CREATE TABLE statement, which is all two definitions need to agree on
+function tableBody(sql) {
+  return sql.slice(sql.indexOf('(')).trim();
+}
+
+class Migrator {
+  /**
+   * `database` is a connected SQLite Database; `dir` holds the migration files
+   */
+  constructor(database, dir) {
+    if (database.type !== 'sqlite' || !database.adapter.db) {
+      throw new Error('Migrations need an SQLite database (database.type: "sqlite" in slop.json)');
+    }
+    this.database = database;
+    this.db = database.adapter.db;
+    this.dir = dir;
+
+    this.db.prepare(`CREATE TABLE IF NOT EXISTS ${BOOKKEEPING_TABLE} (
+      name TEXT PRIMARY KEY,
+      applied_at INTEGER NOT NULL
+    )`).run();
+  }
+
+  // Migration names on disk, oldest first
+  files() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(f => /^\d{14}_.*\.sql$/.test(f)).map(f => f.slice(0, -4)).sort();
+  }
+
+  applied() {
+    return this.db.prepare(`SELECT name FROM ${BOOKKEEPING_TABLE} ORDER BY name`).all().map(row => row.name);
+  }
+
+  pending() {
+    const applied = new Set(this.applied());
+    return this.files().filter(name => !applied.has(name));
+  }
+
+  // The -- up and -- down halves of a migration file
+  read(name) {
+    const file = path.join(this.dir, `${name}.sql`);
+    if (!fs.existsSync(file)) throw new Error(`Migration file ${name}.sql not found in ${this.dir}`);
+
+    const sections = { up: '', down: '' };
+    let current = null;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      const marker = line.match(/^--\s*(up|down)\s*$/i);
+      if (marker) current = marker[1].toLowerCase();
+      else if (current) sections[current] += `${line}\n`;
+    }
+    return sections;
+  }
+
+  /**
+   * What it takes to bring the live tables in line with the declared schemas
+   *   [{ table, action: 'create' | 'rebuild', up: [sql], down: [sql], notes: [text] }]
+   * Tables without a declaration are left alone: schemaless tables are allowed
+   */
+  diff() {
+    const { schemas } = this.database;
+    const changes = [];
+
+    for (const schema of Object.values(schemas)) {
+      const live = this.db.prepare(`SELECT sql FROM sqlite_master WHERE type='table' AND name=?`).get(schema.table);
+      const wanted = createTableSQL(schemas, schema, SQLITE).replace('CREATE TABLE IF NOT EXISTS', 'CREATE TABLE');
+      const table = quote(schema.table);
+
+      if (!live) {
+        changes.push({ table: schema.table, action: 'create', up: [wanted], down: [`DROP TABLE ${table}`], notes: [] });
+        continue;
+      }
+      if (tableBody(live.sql) === tableBody(wanted)) continue;
+
+      changes.push(this.rebuild(schema, live.sql, wanted));
+    }
+
+    return changes;
+  }
+
+  // SQLite can't alter columns in place, so changed tables are copied into a new definition
+  rebuild(schema, liveSQL, wantedSQL) {
+    const table = quote(schema.table);
+    const liveColumns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    const declared = Object.keys(schema.columns);
+    const hasRows = Boolean(this.db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get());
+    const notes = [];
+
+    // Tables created before the declaration keep each record as JSON in `data`
+    const isBlob = !declared.includes('data') &&
+      ['created_at', 'data', 'id'].every(name => liveColumns.includes(name)) && liveColumns.length === 3;
+
+    const copyUp = declared
+      .map(name => {
+        if (liveColumns.includes(name)) return [name, quote(name)];
+        if (isBlob) return [name, `json_extract("data", '$.${name}')`];
+        const column = schema.columns[name];
+        if (hasRows && column.required && column.default === undefined && !column.auto) {
+          notes.push(`${schema.table}.${name} is required and has no default, so existing rows can't be copied; give it a default or fill it in below`);
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    for (const name of liveColumns) {
+      if (!declared.includes(name) && !(isBlob && name === 'data')) {
+        notes.push(`${schema.table}.${name} is no longer declared; its data is dropped`);
+      }
+    }
+
+    const copyDown = liveColumns
+      .map(name => {
+        if (declared.includes(name)) return [name, quote(name)];
+        if (isBlob && name === 'data') {
+          const fields = declared.filter(field => !liveColumns.includes(field));
+          return [name, `json_object(${fields.map(field => `'${field}', ${quote(field)}`).join(', ')})`];
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    const copy = (target, columns) =>
+      `INSERT INTO ${target} (${columns.map(([name]) => quote(name)).join(', ')}) SELECT ${columns.map(([, value]) => value).join(', ')} FROM ${table}`;
+    const replace = (temporary, sql, columns) => [
+      sql.replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?("[^"]*"|\S+)/i, `CREATE TABLE ${temporary}`),
+      copy(temporary, columns),
+      `DROP TABLE ${table}`,
+      `ALTER TABLE ${temporary} RENAME TO ${table}`
+    ];
+
+    return {
+      table: schema.table,
+      action: 'rebuild',
+      up: replace(quote(`${schema.table}__new`), wantedSQL, copyUp),
+      down: replace(quote(`${schema.table}__old`), liveSQL, copyDown),
+      notes
+    };
+  }
+
+  /**
+   * Write the current diff as a new migration file; returns { name, changes }, or null when there is nothing to do
+   */
+  generate(label = 'schema') {
+    const pending = this.pending();
+    if (pending.length) {
+      throw new Error(`Apply pending migrations first (cslop migrate up): ${pending.join(', ')}`);
+    }
+
+    const changes = this.diff();
+    if (!changes.length) return null;
+
+    // Files run in name order, so a second migration within the same second still sorts after the first
+    const newest = this.files().map(file => file.slice(0, 14)).pop();
+    let stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    if (newest && stamp <= newest) stamp = String(Number(newest) + 1);
+    const name = `${stamp}_${label.replace(/[^\w-]+/g, '_')}`;
+    const lines = [`-- Migration: ${name}`, `-- ${changes.map(change => `${change.action} ${change.table}`).join(', ')}`];
+    changes.flatMap(change => change.notes).forEach(note => lines.push(`-- NOTE: ${note}`));
+
+    lines.push('', '-- up');
+    changes.forEach(change => change.up.forEach(sql => lines.push(`${sql};`)));
+    lines.push('', '-- down');
+    [...changes].reverse().forEach(change => change.down.forEach(sql => lines.push(`${sql};`)));
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${name}.sql`), `${lines.join('\n')}\n`);
+    return { name, changes };
+  }
+
+  // Each migration runs in its own transaction with foreign keys checked at the end, as SQLite recommends for rebuilds
+  apply(name, direction) {
+    const sql = this.read(name)[direction];
+
+    this.db.pragma('foreign_keys = OFF');
+    try {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        const broken = this.db.pragma('foreign_key_check');
+        if (broken.length) {
+          throw new Error(`${name} leaves ${broken.length} row(s) with dangling foreign keys (first in ${broken[0].table})`);
+        }
+        if (direction === 'up') {
+          this.db.prepare(`INSERT INTO ${BOOKKEEPING_TABLE} (name, applied_at) VALUES (?, ?)`).run(name, Date.now());
+        } else {
+          this.db.prepare(`DELETE FROM ${BOOKKEEPING_TABLE} WHERE name = ?`).run(name);
+        }
+      })();
+    } finally {
+      this.db.pragma('foreign_keys = ON');
+    }
+  }
+
+  // Apply every pending migration, oldest first; returns their names
+  up() {
+    const pending = this.pending();
+    pending.forEach(name => this.apply(name, 'up'));
+    return pending;
+  }
+
+  // Roll back the last `count` applied migrations, newest first; returns their names
+  down(count = 1) {
+    const rollback = this.applied().reverse().slice(0, count);
+    rollback.forEach(name => this.apply(name, 'down'));
+    return rollback;
+  }
+
+  status() {
+    const applied = new Set(this.applied());
+    return {
+      migrations: [...new Set([...this.files(), ...applied])].sort().map(name => ({
+        name,
+        applied: applied.has(name),
+        missing: !this.files().includes(name)
+      })),
+      changes: this.pending().length ? null : this.diff()
+    };
+  }
+}
+
+/**
+ * A Migrator for the project in `root`, with its declared schemas loaded but no tables created
+ */
+function createMigrator(root, config = {}) {
+  const database = new Database();
+  const settings = config.database || {};
+  const connection = settings.connection && settings.connection !== ':memory:'
+    ? path.resolve(root, settings.connection)
+    : settings.connection;
+
+  database.connect(settings.type, connection, root);
+  for (const { table, columns } of loadSchemas(root, config)) database.declare(table, columns);
+
+  return new Migrator(database, path.resolve(root, settings.migrations || 'migrations'));
+}
+
+module.exports = { Migrator, createMigrator, loadSchemas, BOOKKEEPING_TABLE };
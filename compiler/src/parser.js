@@ -0,0 +1,1275 @@
+/**
+ * C-slop Parser
+ * Builds an AST for .slop programs from the lexer's tokens
+ */
+
+const { Lexer } = require('./lexer');
+const { SlopSyntaxError } = require('./diagnostics');
+
+// Binary operator precedence (higher binds tighter)
+const PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5, 'in': 5, 'instanceof': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+  '**': 8
+};
+
+// Route operators: */path > ..., */path + ..., */path ~ ..., */path - ...
+const ROUTE_METHODS = {
+  '>': 'get',
+  '+': 'post',
+  '~': 'put',
+  '^': 'put',
+  '-': 'delete'
+};
+
+// Collection stages: @users >? _.active >> _.name
+const COLLECTION_OPERATORS = {
+  '>>': 'map',
+  '>?': 'filter',
+  '>+': 'reduce',
+  '>!': 'each'
+};
+
+// Multi-branch arms may start with a comparison: x ? >10 : "big" _ : "small"
+const ARM_OPERATORS = new Set(['>', '<', '>=', '<=', '==', '!=', '===', '!==']);
+
+// Stages that only make sense piped on, never as one side of a comparison
+const PIPE_ONLY_STAGES = new Set(['DbOp', 'Response', 'Block', 'Parallel', 'Collection', 'Catch', 'Transaction', 'Conditional', 'Match']);
+
+const UNARY_KEYWORDS = new Set(['typeof', 'void', 'delete', 'await']);
+
+class Parser {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = options;
+    this.lexer = new Lexer(source, options);
+    this.tokens = this.lexer.tokenize();
+    this.index = 0;
+    // Whether newlines end statements here, whether '>' compares or pipes, and whether
+    // pipelines must end with their line (sameLine)
+    this.contexts = [{ newlines: true, greater: false }];
+  }
+
+  // ---- token helpers ----
+
+  get context() {
+    return this.contexts[this.contexts.length - 1];
+  }
+
+  withContext(context, fn) {
+    this.contexts.push(context);
+    try {
+      return fn();
+    } finally {
+      this.contexts.pop();
+    }
+  }
+
+  peek() {
+    if (!this.context.newlines) {
+      while (this.tokens[this.index].type === 'newline') this.index++;
+    }
+    return this.tokens[this.index];
+  }
+
+  // Look past the current token regardless of newline significance
+  lookahead(offset = 1, skipNewlines = true) {
+    let i = this.index;
+    let seen = 0;
+    while (i < this.tokens.length - 1) {
+      i++;
+      if (skipNewlines && this.tokens[i].type === 'newline') continue;
+      if (++seen === offset) return this.tokens[i];
+    }
+    return this.tokens[this.tokens.length - 1];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  previous() {
+    return this.tokens[this.index - 1];
+  }
+
+  isOp(value, token = this.peek()) {
+    return token.type === 'op' && token.value === value;
+  }
+
+  isIdent(value, token = this.peek()) {
+    return token.type === 'ident' && (value === undefined || token.value === value);
+  }
+
+  // True when the current token starts exactly where the previous one ended
+  isAdjacent() {
+    const prev = this.previous();
+    return prev && this.peek().start === prev.end;
+  }
+
+  eat(value) {
+    if (this.isOp(value)) return this.next();
+    return null;
+  }
+
+  expect(value, message) {
+    const token = this.peek();
+    if (!this.isOp(value, token)) {
+      this.error(message || `Expected '${value}' but found ${describe(token)}`, token);
+    }
+    return this.next();
+  }
+
+  expectIdent(message) {
+    const token = this.peek();
+    if (token.type !== 'ident') this.error(message || `Expected a name but found ${describe(token)}`, token);
+    return this.next();
+  }
+
+  skipNewlines() {
+    while (this.tokens[this.index].type === 'newline') this.index++;
+  }
+
+  error(message, token = this.peek()) {
+    throw new SlopSyntaxError(message, token.line, token.column);
+  }
+
+  node(type, token, props) {
+    return { type, ...props, line: token.line, column: token.column };
+  }
+
+  // ---- statements ----
+
+  parseProgram() {
+    const body = [];
+
+    while (true) {
+      this.skipNewlines();
+      if (this.peek().type === 'eof') break;
+      body.push(this.parseStatement());
+      this.endStatement();
+    }
+
+    return { type: 'Program', body };
+  }
+
+  endStatement() {
+    const token = this.peek();
+    if (token.type === 'newline' || token.type === 'eof' || this.isOp('}', token)) return;
+    if (this.eat(';')) return;
+    this.error(`Unexpected ${describe(token)}`, token);
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (token.type === 'route') return this.parseRoute();
+    if (this.isIdent('import', token)) return this.parseImport();
+    if (this.isOp('@', token) && this.isOp(':', this.lookahead(1, false))) return this.parseDbConfig();
+    if (this.isOp('@', token) && this.lookahead(1, false).type === 'ident' &&
+        this.isOp(':', this.lookahead(2, false)) && this.isOp('{', this.lookahead(3, false))) {
+      return this.parseSchema();
+    }
+    if (this.isIdent('fn', token) && this.lookahead(1, false).type === 'ident') return this.parseFunction();
+    if (token.type === 'ident' && this.isOp(':', this.lookahead(1, false)) && this.isOp('(', this.lookahead(2, false))) {
+      return this.parseFunction();
+    }
+
+    // name: value, as in a block; the name is readable from every route and fn in the file
+    if (token.type === 'ident' && this.isOp(':', this.lookahead(1, false))) return this.parseBlockStatement();
+    if (['const', 'let', 'var'].includes(token.value) && this.lookahead(1, false).type === 'ident') {
+      const name = this.lookahead(1, false).value;
+      this.error(`Top-level lines are C-slop, not JavaScript: write ${name}: value (or ${name} = value to reassign it later)`, token);
+    }
+
+    return this.node('ExpressionStatement', token, { expression: this.parsePipeline() });
+  }
+
+  // fn name(a, b) body  or  name: (a, b) body; the body is a pipeline or a multi-line block
+  parseFunction() {
+    const start = this.next();
+    const name = start.value === 'fn' ? this.expectIdent('Expected function name after fn') : start;
+    if (start.value !== 'fn') this.expect(':');
+
+    this.expect('(', `Expected '(' to start the parameters of ${name.value}`);
+    const params = [];
+    this.withContext({ newlines: false, greater: true }, () => {
+      while (!this.isOp(')')) {
+        const rest = this.eat('...') ? '...' : '';
+        params.push(rest + this.expectIdent('Expected parameter name').value);
+        if (!this.eat(',')) break;
+      }
+    });
+    this.expect(')');
+
+    const body = this.isBlockStart() ? this.parseBlock() : this.parsePipeline();
+    return this.node('Function', start, { name: name.value, params, body });
+  }
+
+  parseImport() {
+    const start = this.next();
+    const first = this.peek();
+
+    // Side-effect import: import "module"
+    if (first.type === 'string') {
+      this.next();
+      return this.node('Import', start, { specifiers: null, source: unquote(first.value) });
+    }
+
+    let last = null;
+    while (!this.isIdent('from')) {
+      const token = this.peek();
+      if (token.type === 'newline' || token.type === 'eof') this.error(`Expected 'from' in import`, token);
+      last = this.next();
+    }
+    if (!last) this.error('Expected import specifiers', first);
+    this.next();
+
+    const source = this.peek();
+    if (source.type !== 'string') this.error(`Expected module name but found ${describe(source)}`, source);
+    this.next();
+
+    return this.node('Import', start, {
+      specifiers: this.source.slice(first.start, last.end),
+      source: unquote(source.value)
+    });
+  }
+
+  parseDbConfig() {
+    const start = this.next();
+    this.expect(':');
+    const driver = this.expectIdent('Expected database driver after @:').value;
+    this.expect('(');
+    const config = this.peek().type === 'op' && this.isOp(')')
+      ? null
+      : this.withContext({ newlines: false, greater: true }, () => this.parseExpression());
+    this.expect(')');
+    return this.node('DbConfig', start, { driver, config });
+  }
+
+  // @users: { id: int.pk.auto, email: str.unique, userId: int.fk(@users) }, one column per line or comma
+  parseSchema() {
+    const start = this.next();
+    const table = this.next();
+    this.expect(':');
+    this.expect('{');
+
+    const columns = [];
+    this.withContext({ newlines: true, greater: true }, () => {
+      this.skipNewlines();
+      while (!this.isOp('}')) {
+        const name = this.expectIdent('Expected a column name');
+        this.expect(':', `Expected ':' after column ${name.value}`);
+        const type = this.expectIdent(`Expected a type for column ${name.value}, like str or int`);
+        const column = this.node('Column', name, { name: name.value, type: type.value, args: this.parseSchemaArgs(), modifiers: [] });
+
+        while (this.isOp('.') && this.isAdjacent()) {
+          this.next();
+          const modifier = this.expectIdent(`Expected a modifier after '.' in column ${name.value}`);
+          column.modifiers.push(this.node('Modifier', modifier, { name: modifier.value, args: this.parseSchemaArgs() }));
+        }
+        columns.push(column);
+
+        const separator = this.peek();
+        if (!this.eat(',') && separator.type !== 'newline' && !this.isOp('}')) {
+          this.error(`Expected ',' or a new line after column ${name.value}`, separator);
+        }
+        this.skipNewlines();
+      }
+    });
+    this.expect('}');
+
+    return this.node('Schema', start, { table: table.value, columns });
+  }
+
+  // enum("user", "admin"), decimal(10, 2), default(now), fk(@users)
+  parseSchemaArgs() {
+    if (!this.isOp('(') || !this.isAdjacent()) return [];
+    this.next();
+
+    const args = [];
+    this.withContext({ newlines: false, greater: true }, () => {
+      while (!this.isOp(')')) {
+        args.push(this.parseExpression());
+        if (!this.eat(',')) break;
+      }
+    });
+    this.expect(')');
+    return args;
+  }
+
+  parseRoute() {
+    const token = this.next();
+    const operator = this.peek();
+    const isMiddleware = token.value === '*' || token.value.endsWith('/*');
+    const prefix = token.value === '*' ? '' : token.value.slice(0, -2);
+
+    // */api/* >># {data:_} rewrites the JSON responses sent under /api
+    if (isMiddleware && this.isOp('>>#', operator)) {
+      this.next();
+      const first = this.isOp('{') ? this.parseExpression() : null;
+      return this.node('Transform', token, { path: token.value, prefix, handler: this.parsePipeline(first) });
+    }
+
+    if (operator.type !== 'op' || !ROUTE_METHODS[operator.value]) {
+      this.error(`Expected route operator (>, +, ~ or -) after ${token.value}`, operator);
+    }
+    this.next();
+
+    // ** runs before every route, */prefix/* before everything under /prefix
+    if (isMiddleware) {
+      if (operator.value !== '>') this.error(`Middleware runs for every method; use '>' after ${token.value}`, operator);
+      return this.node('Middleware', token, { path: token.value, prefix, handler: this.parsePipeline() });
+    }
+
+    return this.node('Route', token, {
+      method: ROUTE_METHODS[operator.value],
+      path: token.value,
+      handler: this.parsePipeline()
+    });
+  }
+
+  // ---- pipelines ----
+
+  // `first` is an already parsed first stage
+  parsePipeline(first = null) {
+    const start = first || this.peek();
+    // Where the last stage's tokens start, for reading it again as part of a comparison
+    let stageStart = first ? null : this.index;
+    const stages = [first || this.parseParallel()];
+
+    while (this.atPipe()) {
+      const operator = this.next();
+      this.skipNewlines();
+      if (operator.value === '>|') {
+        stages.push(this.parseCatch(operator));
+        stageStart = null;
+      } else if (operator.value in COLLECTION_OPERATORS) {
+        stages.push(this.parseCollection(operator));
+        stageStart = null;
+      } else {
+        const previousStart = stageStart;
+        stageStart = this.index;
+        const stage = this.parseParallel();
+        if (previousStart === null || !this.isComparedTest(stages[stages.length - 1], stage)) {
+          stages.push(stage);
+          continue;
+        }
+        // n > 1 ? a : b compares n with 1 instead of piping n into `1 ? a : b`
+        this.index = previousStart;
+        stageStart = previousStart;
+        stages[stages.length - 1] = this.parseComparedConditional();
+      }
+    }
+
+    return this.node('Pipeline', start, { stages });
+  }
+
+  // A ternary or match after `>` whose test ignores the piped value takes the stage before it into its test:
+  // n > 1 ? a : b, $.n > _ > 1 ? a : b. Tests that read _ still get the piped value: @users > _.length ? a : b
+  isComparedTest(previous, stage) {
+    const test = stage.type === 'Conditional' ? stage.test : stage.type === 'Match' ? stage.subject : null;
+    return Boolean(test) && !mentions(test, '_') && !PIPE_ONLY_STAGES.has(previous.type);
+  }
+
+  parseComparedConditional() {
+    const token = this.peek();
+    const test = this.withContext({ ...this.context, greater: true }, () => this.parseBinary(0));
+    return this.parseConditional(token, test);
+  }
+
+  // a & b & c runs its branches concurrently and passes all results on
+  parseParallel() {
+    const first = this.parseStage();
+    this.skipNewlinesBefore('&');
+    if (!this.isOp('&')) return first;
+
+    const branches = [first];
+    while (this.eat('&')) {
+      this.skipNewlines();
+      branches.push(this.parseStage());
+      this.skipNewlinesBefore('&');
+    }
+
+    for (const branch of branches) {
+      if (branch.type === 'Response' || branch.type === 'Block' || branch.type === 'Transaction') {
+        this.error('Only expressions and database operations can run in parallel with &', branch);
+      }
+    }
+    return this.node('Parallel', first, { branches });
+  }
+
+  isPipeOperator(token) {
+    return token.type === 'op' && (token.value === '>' || token.value === '>|' || token.value in COLLECTION_OPERATORS);
+  }
+
+  // >> map, >? filter, >+ reduce (>+ expr : init), >! each; _ is the current item
+  parseCollection(operator) {
+    const kind = COLLECTION_OPERATORS[operator.value];
+    // Filters read naturally with comparisons: >? _.age > 18
+    const body = this.withContext({ newlines: true, greater: kind === 'filter' }, () => this.parseExpression());
+
+    let init = null;
+    if (kind === 'reduce') {
+      this.skipNewlinesBefore(':');
+      if (this.eat(':')) init = this.parseExpression();
+    }
+
+    return this.node('Collection', operator, { kind, body, init });
+  }
+
+  // A pipe operator continues the pipeline, even from the start of the next line
+  atPipe() {
+    if (this.isPipeOperator(this.peek())) return true;
+    if (this.peek().type === 'newline' && !this.context.sameLine && this.isPipeOperator(this.lookahead(1))) {
+      this.skipNewlines();
+      return true;
+    }
+    return false;
+  }
+
+  // >| handler, or a catch map: >| {NotFound: #404, _: #500}
+  parseCatch(operator) {
+    if (!this.isCatchMap()) {
+      return this.node('Catch', operator, { cases: [{ name: '_', handler: this.parseStage() }] });
+    }
+
+    const start = this.expect('{');
+    const cases = [];
+
+    this.withContext({ newlines: true, greater: false }, () => {
+      this.skipNewlines();
+      while (!this.isOp('}')) {
+        const name = this.expectIdent('Expected an error name in catch map');
+        this.expect(':');
+        this.skipNewlines();
+        const handler = this.isOp('#') ? this.parseResponse() : this.parseExpression();
+        cases.push({ name: name.value, handler, line: name.line, column: name.column });
+
+        const separated = this.eat(',') || this.peek().type === 'newline';
+        this.skipNewlines();
+        if (!separated) break;
+      }
+    });
+
+    this.expect('}', `Expected '}' to close catch map opened at ${start.line}:${start.column}`);
+    return this.node('Catch', operator, { cases });
+  }
+
+  // Catch maps are keyed by error names, which start with a capital letter (or _ for the rest)
+  isCatchMap() {
+    if (!this.isOp('{')) return false;
+    const key = this.lookahead(1);
+    return key.type === 'ident' && /^[A-Z_]/.test(key.value) && this.isOp(':', this.lookahead(2));
+  }
+
+  parseStage() {
+    const token = this.peek();
+    if (this.isOp('#', token)) return this.parseResponse();
+    if (this.isBlockStart()) return this.parseBlock();
+    return this.parseExpression();
+  }
+
+  // '{' followed by a newline opens a block; otherwise it is an object literal
+  isBlockStart() {
+    return this.isOp('{') && this.tokens[this.index + 1].type === 'newline';
+  }
+
+  parseBlock() {
+    const start = this.expect('{');
+    const body = [];
+
+    this.withContext({ newlines: true, greater: false }, () => {
+      while (true) {
+        this.skipNewlines();
+        if (this.isOp('}') || this.peek().type === 'eof') break;
+        body.push(this.parseBlockStatement());
+        this.endStatement();
+      }
+    });
+
+    this.expect('}', `Expected '}' to close block opened at ${start.line}:${start.column}`);
+    return this.node('Block', start, { body });
+  }
+
+  parseBlockStatement() {
+    const token = this.peek();
+
+    // name: value
+    if (token.type === 'ident' && this.isOp(':', this.lookahead(1, false))) {
+      this.next();
+      this.next();
+      return this.node('Declaration', token, { name: token.value, value: this.parsePipeline() });
+    }
+
+    return this.node('ExpressionStatement', token, { expression: this.parsePipeline() });
+  }
+
+  parseResponse() {
+    const start = this.expect('#');
+    const token = this.peek();
+
+    if (!this.isAdjacent() || (token.type !== 'ident' && token.type !== 'number')) {
+      this.error(`Expected response name or status code after '#'`, token);
+    }
+    this.next();
+
+    let args = [];
+    if (this.isOp('(') && this.isAdjacent()) args = this.parseArguments();
+
+    if (token.type === 'number') {
+      return this.node('Response', start, { name: 'status', status: Number(token.value), args });
+    }
+    return this.node('Response', start, { name: token.value, status: null, args });
+  }
+
+  // ---- expressions ----
+
+  parseExpression() {
+    const token = this.peek();
+    const left = this.parseConditional();
+
+    if (this.isOp('=')) {
+      this.next();
+      this.skipNewlines();
+      return this.node('Assign', token, { left, right: this.parseExpression() });
+    }
+
+    return left;
+  }
+
+  parseConditional(token = this.peek(), test = this.parseBinary(0)) {
+    if (!this.isOp('?')) return test;
+    this.next();
+    // Arms on later lines only count when the match starts on a line of its own
+    const multiLine = this.tokens[this.index].type === 'newline';
+    this.skipNewlines();
+
+    const arms = [this.parseArm(true, multiLine)];
+    while (!arms[arms.length - 1].isDefault && this.atArm(multiLine)) {
+      arms.push(this.parseArm(false, multiLine));
+    }
+
+    // A single plain arm is an ordinary ternary: cond ? yes : no
+    if (arms.length === 1 && !arms[0].operator) {
+      return this.node('Conditional', token, { test, consequent: arms[0].pattern, alternate: arms[0].result });
+    }
+
+    for (const arm of arms) {
+      if (arm.pattern && (arm.pattern.type === 'Response' || arm.pattern.type === 'Pipeline')) {
+        this.error('Match patterns must be values', arm.pattern);
+      }
+    }
+    return this.node('Match', token, { subject: test, arms });
+  }
+
+  // pattern : result, where pattern is `>10`, a value, or `_` for everything else
+  parseArm(first, multiLine) {
+    const start = this.peek();
+    let operator = null;
+    let pattern;
+
+    if (start.type === 'op' && ARM_OPERATORS.has(start.value)) {
+      operator = this.next().value;
+      pattern = this.withContext({ newlines: true, greater: true }, () => this.parseBinary(PRECEDENCE['+']));
+    } else {
+      // The first arm doubles as a ternary consequent, which may be a whole pipeline
+      pattern = first ? this.parseConsequent() : this.parseExpression();
+    }
+
+    this.skipNewlinesBefore(':');
+    this.expect(':');
+    this.skipNewlines();
+    const result = multiLine ? this.parseArmPipeline() : this.parseBranch();
+    // In the first arm `_` is still the piped value: ok ? _ : #403
+    const isDefault = !first && !operator && pattern.type === 'Identifier' && pattern.name === '_';
+
+    return { operator, pattern: isDefault ? null : pattern, result, isDefault, line: start.line, column: start.column };
+  }
+
+  // In a multi-line match each result may pipe to the end of its line: "admin" : @data > #json
+  parseArmPipeline() {
+    if (this.context.greater) return this.parseBranch();
+    const pipeline = this.withContext({ newlines: true, greater: false, sameLine: true }, () => this.parsePipeline());
+    return pipeline.stages.length === 1 ? pipeline.stages[0] : pipeline;
+  }
+
+  // At pipeline level a consequent may itself pipe: ok ? @data > #json : #403
+  parseConsequent() {
+    if (this.context.greater) return this.parseBranch();
+    const pipeline = this.parsePipeline();
+    return pipeline.stages.length === 1 ? pipeline.stages[0] : pipeline;
+  }
+
+  // True when the tokens ahead read `pattern :` before any '?', ',' or end of line
+  atArm(multiLine) {
+    let i = this.index;
+    if (this.tokens[i].type === 'newline') {
+      if (!multiLine) return false;
+      i++;
+    }
+    // `:` right away belongs to an enclosing conditional: a ? b ? c : d : e
+    if (this.isOp(':', this.tokens[i])) return false;
+
+    let depth = 0;
+    for (; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type === 'newline' || token.type === 'eof') return false;
+      if (token.type !== 'op') continue;
+
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        depth++;
+      } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+        if (depth === 0) return false;
+        depth--;
+      } else if (depth === 0) {
+        if (token.value === '?' || token.value === ',' || token.value === ';') return false;
+        if (token.value === ':') {
+          this.skipNewlines();
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Conditional branches and ?? fallbacks may respond: ok ? _ : #403
+  parseBranch() {
+    return this.isOp('#') ? this.parseResponse() : this.parseExpression();
+  }
+
+  // Allow "a\n  : b" style continuation lines
+  skipNewlinesBefore(op) {
+    if (this.peek().type === 'newline' && this.isOp(op, this.lookahead(1))) this.skipNewlines();
+  }
+
+  binaryOperator(token) {
+    if (token.type === 'ident' && (token.value === 'in' || token.value === 'instanceof')) return token.value;
+    if (token.type !== 'op' || !(token.value in PRECEDENCE)) return null;
+    if (token.value === '>' && !this.context.greater) return null;
+    // Responses can't be compared, so `_.age > 18 > #json` pipes into #json
+    if (token.value === '>' && this.isOp('#', this.lookahead(1))) return null;
+    return token.value;
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+
+    while (true) {
+      const token = this.peek();
+      const op = this.binaryOperator(token);
+      if (!op || PRECEDENCE[op] < minPrecedence) break;
+
+      this.next();
+      this.skipNewlines();
+      // ** is right-associative
+      const nextMin = op === '**' ? PRECEDENCE[op] : PRECEDENCE[op] + 1;
+      const right = op === '??' && this.isOp('#') ? this.parseResponse() : this.parseBinary(nextMin);
+      left = { type: 'Binary', operator: op, left, right, line: left.line, column: left.column };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === 'op' && ['!', '-', '+', '++', '--'].includes(token.value)) {
+      this.next();
+      const argument = this.parseUnary();
+      const type = token.value === '++' || token.value === '--' ? 'Update' : 'Unary';
+      return this.node(type, token, { operator: token.value, prefix: true, argument });
+    }
+
+    if (token.type === 'ident' && UNARY_KEYWORDS.has(token.value) && this.canStartExpression(this.lookahead(1, false))) {
+      this.next();
+      return this.node('Unary', token, { operator: token.value, prefix: true, argument: this.parseUnary() });
+    }
+
+    return this.parsePostfix();
+  }
+
+  // Operands of @table?filter and @table!data stop before '[' so @t?{...}[0] indexes the result
+  parseOperand() {
+    return this.parsePostfix(this.parsePrimary(), false);
+  }
+
+  parsePostfix(expression = this.parsePrimary(), allowIndex = true) {
+    while (true) {
+      const token = this.peek();
+
+      if (this.isOp('.', token)) {
+        this.next();
+        this.skipNewlines();
+        const property = this.expectIdent('Expected property name after .');
+        expression = this.node('Member', expression, { object: expression, property: property.value, computed: false, optional: false });
+        continue;
+      }
+
+      if (this.isOp('?.', token)) {
+        this.next();
+        if (this.isOp('(')) {
+          expression = this.node('Call', expression, { callee: expression, args: this.parseArguments(), optional: true });
+        } else if (this.isOp('[')) {
+          expression = this.node('Member', expression, { object: expression, property: this.parseIndex(), computed: true, optional: true });
+        } else {
+          const property = this.expectIdent('Expected property name after ?.');
+          expression = this.node('Member', expression, { object: expression, property: property.value, computed: false, optional: true });
+        }
+        continue;
+      }
+
+      if (this.isOp('[', token) && allowIndex) {
+        expression = this.node('Member', expression, { object: expression, property: this.parseIndex(), computed: true, optional: false });
+        continue;
+      }
+
+      if (this.isOp('(', token)) {
+        expression = this.node('Call', expression, { callee: expression, args: this.parseArguments(), optional: false });
+        continue;
+      }
+
+      if (this.isOp('++', token) || this.isOp('--', token)) {
+        this.next();
+        expression = this.node('Update', expression, { operator: token.value, prefix: false, argument: expression });
+        continue;
+      }
+
+      return expression;
+    }
+  }
+
+  parseIndex() {
+    this.expect('[');
+    const property = this.withContext({ newlines: false, greater: true }, () => this.parseExpression());
+    this.expect(']');
+    return property;
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = this.withContext({ newlines: false, greater: true }, () => {
+      const list = [];
+      while (!this.isOp(')')) {
+        if (this.isOp('...')) {
+          const token = this.next();
+          list.push(this.node('Spread', token, { argument: this.parseExpression() }));
+        } else {
+          list.push(this.parseExpression());
+        }
+        if (!this.eat(',')) break;
+      }
+      return list;
+    });
+    this.expect(')');
+    return args;
+  }
+
+  canStartExpression(token) {
+    if (['ident', 'number', 'string', 'template', 'html'].includes(token.type)) return true;
+    return token.type === 'op' && ['(', '[', '{', '@', '!', '-', '+', '++', '--'].includes(token.value);
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.next();
+        return this.node('Literal', token, { raw: token.value });
+
+      case 'template':
+        this.next();
+        return this.node('Template', token, {
+          quasis: token.quasis,
+          expressions: token.expressions.map(range => this.parseEmbedded(range))
+        });
+
+      case 'html':
+        this.next();
+        return this.node('Html', token, {
+          quasis: token.quasis,
+          expressions: token.expressions.map(range => this.parseEmbedded(range))
+        });
+
+      case 'ident':
+        return this.parseIdentifier();
+
+      case 'op':
+        if (token.value === '(') return this.parseParen();
+        if (token.value === '[') return this.parseArray();
+        if (token.value === '{') return this.parseObject();
+        if (token.value === '@') return this.parseDbOperation();
+        if (token.value === '#') this.error('Responses (#) can only be used as a pipeline stage', token);
+        break;
+    }
+
+    this.error(`Unexpected ${describe(token)}`, token);
+  }
+
+  // {...} in a template: an expression, where > compares, or a pipeline through >>, >?, >+, >! and >|
+  parseEmbedded(range) {
+    const parser = new Parser(this.source, { ...this.options, start: range.start, end: range.end });
+    const pipeline = parser.withContext({ newlines: false, greater: true }, () => parser.parsePipeline());
+    const rest = parser.peek();
+    if (rest.type !== 'eof') parser.error(`Unexpected ${describe(rest)} in interpolation`, rest);
+    return pipeline.stages.length === 1 ? pipeline.stages[0] : pipeline;
+  }
+
+  parseIdentifier() {
+    const token = this.next();
+
+    if (token.value === 'new') {
+      const callee = this.parseNewCallee();
+      const args = this.isOp('(') ? this.parseArguments() : [];
+      return this.node('New', token, { callee, args });
+    }
+
+    if (token.value === 'async' && this.isArrowAhead()) {
+      const arrow = this.parseArrow();
+      arrow.async = true;
+      return arrow;
+    }
+
+    // x => body
+    if (this.isOp('=>', this.tokens[this.index])) {
+      this.index--;
+      return this.parseArrow();
+    }
+
+    return this.node('Identifier', token, { name: token.value });
+  }
+
+  parseNewCallee() {
+    let callee = this.node('Identifier', this.peek(), { name: this.expectIdent().value });
+    while (this.isOp('.')) {
+      const token = this.next();
+      callee = this.node('Member', token, { object: callee, property: this.expectIdent().value, computed: false, optional: false });
+    }
+    return callee;
+  }
+
+  // Is the upcoming "(a, b) =>" or "a =>" an arrow function?
+  isArrowAhead() {
+    const token = this.peek();
+    if (token.type === 'ident') return this.isOp('=>', this.tokens[this.index + 1]);
+    if (!this.isOp('(', token)) return false;
+
+    let depth = 0;
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const t = this.tokens[i];
+      if (t.type !== 'op') continue;
+      if (t.value === '(' || t.value === '[' || t.value === '{') depth++;
+      if (t.value === ')' || t.value === ']' || t.value === '}') depth--;
+      if (depth === 0) return this.isOp('=>', this.tokens[i + 1]);
+    }
+    return false;
+  }
+
+  parseArrow() {
+    const start = this.peek();
+    const params = [];
+
+    if (this.isOp('(')) {
+      this.withContext({ newlines: false, greater: true }, () => {
+        this.next();
+        while (!this.isOp(')')) {
+          params.push(this.expectIdent('Expected parameter name').value);
+          if (!this.eat(',')) break;
+        }
+        this.expect(')');
+      });
+    } else {
+      params.push(this.expectIdent().value);
+    }
+
+    this.expect('=>');
+    this.skipNewlines();
+    const body = this.parseExpression();
+    return this.node('Arrow', start, { params, body, async: false });
+  }
+
+  parseParen() {
+    if (this.isArrowAhead()) return this.parseArrow();
+
+    this.expect('(');
+    const expression = this.withContext({ newlines: false, greater: true }, () => this.parseExpression());
+    this.expect(')');
+    expression.parenthesized = true;
+    return expression;
+  }
+
+  parseArray() {
+    const start = this.expect('[');
+    const elements = this.withContext({ newlines: false, greater: true }, () => {
+      const list = [];
+      while (!this.isOp(']')) {
+        if (this.isOp('...')) {
+          const token = this.next();
+          list.push(this.node('Spread', token, { argument: this.parseExpression() }));
+        } else {
+          list.push(this.parseExpression());
+        }
+        if (!this.eat(',')) break;
+      }
+      return list;
+    });
+    this.expect(']');
+    return this.node('Array', start, { elements });
+  }
+
+  // Object literals accept commas or newlines between properties
+  parseObject() {
+    const start = this.expect('{');
+    const properties = [];
+
+    this.withContext({ newlines: true, greater: true }, () => {
+      this.skipNewlines();
+      while (!this.isOp('}')) {
+        properties.push(this.parseProperty());
+        const separated = this.eat(',') || this.peek().type === 'newline';
+        this.skipNewlines();
+        if (!separated) break;
+      }
+    });
+
+    this.expect('}', `Expected '}' to close object opened at ${start.line}:${start.column}`);
+    return this.node('Object', start, { properties });
+  }
+
+  parseProperty() {
+    const token = this.peek();
+
+    if (this.isOp('...', token)) {
+      this.next();
+      return this.node('Spread', token, { argument: this.parseExpression() });
+    }
+
+    let key;
+    let computed = false;
+    if (this.isOp('[', token)) {
+      key = this.parseIndex();
+      computed = true;
+    } else if (token.type === 'ident' || token.type === 'string' || token.type === 'number') {
+      this.next();
+      key = token.value;
+    } else {
+      this.error(`Unexpected ${describe(token)} in object literal`, token);
+    }
+
+    if (this.eat(':')) {
+      this.skipNewlines();
+      return this.node('Property', token, { key, computed, value: this.parseExpression(), shorthand: false });
+    }
+
+    if (token.type !== 'ident') this.error(`Expected ':' after property ${key}`);
+    return this.node('Property', token, { key, computed, value: this.node('Identifier', token, { name: key }), shorthand: true });
+  }
+
+  // @table, @table[id], @table?filter, @table!data, @table[id]!data, @table[id]!-
+  parseDbOperation() {
+    const start = this.expect('@');
+    const table = this.peek();
+    if (table.type !== 'ident' || !this.isAdjacent()) this.error(`Expected table name after '@'`, table);
+    this.next();
+
+    const node = this.node('DbOp', start, {
+      table: table.value, id: null, filter: null, action: 'find', data: null,
+      relations: null, fields: null, order: null, limit: null, offset: null, aggregate: null
+    });
+
+    // @tx{...} runs its statements as one transaction
+    if (table.value === 'tx') {
+      if (!this.isOp('{') || !this.isAdjacent()) this.error(`@tx takes a block: @tx{ ... }`, table);
+      return this.node('Transaction', start, { body: this.parseBlock() });
+    }
+
+    // @raw(sql, params) runs SQL as written instead of reading a table called raw
+    if (table.value === 'raw') {
+      if (!this.isOp('(') || !this.isAdjacent()) this.error(`@raw takes a query: @raw("SELECT ...", [params])`, table);
+      const args = this.parseArguments();
+      if (args.length < 1 || args.length > 2) this.error(`@raw takes the SQL and an optional list of parameters`, start);
+      return Object.assign(node, { action: 'raw', data: args[0], params: args[1] || null });
+    }
+
+    if (this.isOp('[') && this.isAdjacent()) {
+      if (this.isFieldListAhead()) node.fields = this.parseFieldList();
+      else node.id = this.parseIndex();
+    }
+
+    // @users.posts, @posts[1].users.comments: related tables to embed (@users.map(...) is a call instead);
+    // the compiler reads names that aren't declared tables as properties: @users.length
+    while (!node.fields && this.isOp('.') && this.isAdjacent() && this.isRelationAhead()) {
+      this.next();
+      node.relations = [...(node.relations || []), this.next().value];
+    }
+
+    // @users[1][name] picks fields of one record; @posts.users[title, users.name] flattens the join
+    if ((node.id || node.relations) && !node.fields && this.isOp('[') && this.isAdjacent() && this.isFieldListAhead(true)) {
+      node.fields = this.parseFieldList();
+    }
+
+    if (this.isOp('?') && this.isAdjacent() && !node.id && !node.fields) {
+      this.next();
+      node.filter = this.isOp('{') && this.isAdjacent() ? this.parseFilter() : this.parseOperand();
+      // A filtered read has no id to look up, so one bare name picks a field: @users?{active:true}[name]
+      if (this.isOp('[') && this.isAdjacent() && this.isFieldListAhead(true)) node.fields = this.parseFieldList();
+    }
+
+    // @users#count, @orders?{paid:true}#sum(total): the query runs as one aggregate and nothing else follows
+    if (this.isOp('#') && this.isAdjacent() && this.isAggregateAhead()) {
+      if (node.id || node.relations || node.fields) {
+        this.error('Aggregates apply to a whole table or a ?{} filter: @orders?{paid:true}#sum(total)', start);
+      }
+      node.aggregate = this.parseAggregate();
+      return node;
+    }
+    if (this.isOp('.') && this.isAdjacent() && this.isAggregateAhead() && !node.id && !node.relations && !node.fields) {
+      const name = this.lookahead(1, false).value;
+      this.error(`Aggregates are written with #, like #page: @${node.table}#${name}${name === 'count' ? '' : '(...)'}`, this.peek());
+    }
+
+    // @posts^-created_at^title sorts by created_at, newest first, then by title
+    while (this.isOp('^') && this.isAdjacent() && !node.id) {
+      this.next();
+      const descending = Boolean(this.isOp('-') && this.isAdjacent() && this.next());
+      if (!this.isAdjacent()) this.error(`Expected a field name right after '^${descending ? '-' : ''}'`);
+      const field = this.expectIdent(`Expected a field name after '^'`).value;
+      node.order = [...(node.order || []), descending ? `-${field}` : field];
+    }
+    if (node.order && !node.fields && this.isOp('[') && this.isAdjacent() && this.isFieldListAhead(true)) {
+      node.fields = this.parseFieldList();
+    }
+
+    // @users:10, @users:10:20 (limit, then offset); each part is an arithmetic expression
+    if (this.isOp(':') && this.isAdjacent() && !node.id) {
+      const colon = this.next();
+      if (!this.isAdjacent()) this.error(`Expected a limit right after ':'`, colon);
+      node.limit = this.parseBinary(PRECEDENCE['+']);
+      if (this.isOp(':') && this.isAdjacent()) {
+        this.next();
+        node.offset = this.parseBinary(PRECEDENCE['+']);
+      }
+    }
+
+    if (this.isOp('!') && this.isAdjacent()) {
+      this.next();
+      if (this.isOp('-') && this.isAdjacent()) {
+        this.next();
+        if (!node.id) this.error('Delete (!-) needs a record id: @table[id]!-', start);
+        node.action = 'delete';
+      } else {
+        node.action = node.id ? 'update' : 'insert';
+        if (this.canStartExpression(this.peek())) node.data = this.parseOperand();
+      }
+    }
+
+    if (node.action !== 'find' && (node.relations || node.fields || node.order || node.limit)) {
+      this.error('Relations, field lists, ^order and :limit:offset only apply to reads', start);
+    }
+
+    return node;
+  }
+
+  // .name straight after the '.', not called; aggregate names are never relations
+  isRelationAhead() {
+    const name = this.tokens[this.index + 1];
+    return name.type === 'ident' && name.start === this.peek().end && !this.isOp('(', this.tokens[this.index + 2]) &&
+      !this.isAggregateAhead();
+  }
+
+  // An aggregate name straight after the '#' (or a '.', to point at the # form)
+  isAggregateAhead() {
+    const name = this.tokens[this.index + 1];
+    return name.type === 'ident' && name.start === this.peek().end && (AGGREGATES.has(name.value) || name.value === 'group');
+  }
+
+  // #count, #sum(total), or #group(userId, ...) followed by one of them: { fn, field, group }
+  parseAggregate() {
+    this.expect('#');
+    let name = this.next();
+    let group = null;
+
+    if (name.value === 'group') {
+      group = this.parseAggregateFields(name, 'group');
+      if (!this.isOp('#') || !this.isAdjacent() || !AGGREGATES.has(this.lookahead(1, false).value)) {
+        this.error('Expected #count, #sum(field), #avg(field), #min(field) or #max(field) after #group(...)');
+      }
+      this.next();
+      name = this.next();
+    }
+
+    if (name.value === 'count') {
+      if (this.isOp('(') && this.isAdjacent()) this.error('#count takes no field; it counts records', name);
+      return { fn: 'count', field: null, group };
+    }
+    const [field, extra] = this.parseAggregateFields(name, name.value);
+    if (extra) this.error(`#${name.value} takes one field`, name);
+    return { fn: name.value, field, group };
+  }
+
+  // (name, ...) right after #group or an aggregate
+  parseAggregateFields(name, fn) {
+    if (!this.isOp('(') || !this.isAdjacent()) this.error(`#${fn} needs a field: #${fn}(total)`, name);
+    this.next();
+    const fields = [];
+    do {
+      fields.push(this.expectIdent(`Expected a field name in #${fn}(...)`).value);
+    } while (this.eat(','));
+    this.expect(')', `Expected ')' to close #${fn}(...)`);
+    return fields;
+  }
+
+  // [name, email] after a table is a field list; one bare name is an id unless `single` says otherwise
+  // (after an id, relation, filter or order) or a trailing comma marks it: @users[name,]. Names may be table.field
+  isFieldListAhead(single = false) {
+    let i = this.index + 1;
+    let names = 0;
+    let trailingComma = false;
+
+    while (this.tokens[i].type === 'ident') {
+      names++;
+      i++;
+      if (this.isOp('.', this.tokens[i]) && this.tokens[i + 1].type === 'ident') i += 2;
+      trailingComma = this.isOp(',', this.tokens[i]);
+      if (!trailingComma) break;
+      i++;
+    }
+
+    if (!names || !this.isOp(']', this.tokens[i])) return false;
+    return names > 1 || single || trailingComma;
+  }
+
+  parseFieldList() {
+    this.expect('[');
+    const fields = [];
+    while (!this.isOp(']')) {
+      let field = this.expectIdent('Expected a field name').value;
+      if (this.eat('.')) field += `.${this.expectIdent('Expected a field name after the table').value}`;
+      fields.push(field);
+      if (!this.eat(',')) break;
+    }
+    this.expect(']');
+    return fields;
+  }
+
+  // ?{active:true, age>21, role:"admin" | role:"mod"}: commas or newlines join conditions (AND),
+  // | offers alternatives (OR) and binds tighter; parentheses group
+  parseFilter() {
+    const start = this.expect('{');
+    const clauses = this.withContext({ newlines: true, greater: true }, () => this.parseFilterClauses('}'));
+    this.expect('}', `Expected '}' to close filter opened at ${start.line}:${start.column}`);
+    return this.node('Filter', start, { clauses });
+  }
+
+  parseFilterClauses(close) {
+    const clauses = [];
+    this.skipNewlines();
+    while (!this.isOp(close)) {
+      clauses.push(this.parseFilterAlternatives());
+      const separated = this.eat(',') || this.peek().type === 'newline';
+      this.skipNewlines();
+      if (!separated) break;
+    }
+    return clauses;
+  }
+
+  parseFilterAlternatives() {
+    const first = this.parseFilterTerm();
+    if (!this.isOp('|')) return first;
+
+    const alternatives = [first];
+    while (this.eat('|')) {
+      this.skipNewlines();
+      alternatives.push(this.parseFilterTerm());
+    }
+    return this.node('FilterOr', first, { alternatives });
+  }
+
+  parseFilterTerm() {
+    const token = this.peek();
+
+    if (this.isOp('(', token)) {
+      this.next();
+      const clauses = this.parseFilterClauses(')');
+      this.expect(')');
+      return this.node('FilterGroup', token, { clauses });
+    }
+
+    if (this.isOp('...', token)) {
+      this.next();
+      return this.node('Spread', token, { argument: this.parseBinary(0) });
+    }
+
+    if (token.type !== 'ident' && token.type !== 'string') {
+      this.error(`Expected a field name in filter but found ${describe(token)}`, token);
+    }
+    this.next();
+    const field = token.type === 'string' ? unquote(token.value) : token.value;
+
+    const next = this.peek();
+    const operator = (next.type === 'op' || next.type === 'ident') && Object.hasOwn(FILTER_OPERATORS, next.value)
+      ? FILTER_OPERATORS[next.value]
+      : null;
+    if (!operator) {
+      // ?{name} is ?{name: name}
+      if (token.type !== 'ident') this.error(`Expected ':' or a comparison after '${field}'`, next);
+      return this.node('Condition', token, { field, operator: '=', value: this.node('Identifier', token, { name: field }), shorthand: true });
+    }
+
+    this.next();
+    this.skipNewlines();
+    const value = this.parseBinary(0);
+    // ?{id: [1, 2, 3]} matches any of the listed values
+    const isList = operator === '=' && value.type === 'Array' && !value.parenthesized;
+    return this.node('Condition', token, { field, operator: isList ? 'in' : operator, value, shorthand: false });
+  }
+}
+
+// Comparisons allowed in ?{...}, by token, and the operator the runtime knows them as
+const FILTER_OPERATORS = {
+  ':': '=',
+  '!=': '!=',
+  '>': '>',
+  '>=': '>=',
+  '<': '<',
+  '<=': '<=',
+  '~': 'contains',
+  like: 'like',
+  in: 'in'
+};
+
+// @orders.sum(total), @users?{active:true}.count, @orders.group(userId).sum(total)
+const AGGREGATES = new Set(['count', 'sum', 'avg', 'min', 'max']);
+
+function describe(token) {
+  if (token.type === 'eof') return 'end of file';
+  if (token.type === 'newline') return 'end of line';
+  return `'${token.type === 'route' ? '*' + token.value : token.value}'`;
+}
+
+// Whether `name` is read anywhere in node
+function mentions(node, name) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'Identifier' && node.name === name) return true;
+  return Object.values(node).some(value => (Array.isArray(value)
+    ? value.some(item => mentions(item, name))
+    : mentions(value, name)));
+}
+
+function unquote(literal) {
+  return literal.slice(1, -1);
+}
+
+function parse(source, options = {}) {
+  return new Parser(source, options).parseProgram();
+}
+
+module.exports = { Parser, parse, PRECEDENCE };
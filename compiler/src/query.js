@@ -0,0 +1,586 @@
+/**
+ * C-slop Queries
+ * Turns ?{...} filters, ordering and limit/offset into parameterized SQL, and applies the same rules to in-memory rows
+ *
+ * Filters are plain data, so a filter built at runtime (?$.query) works like a literal one:
+ *   { name: value, ... }      every key equals its value; null matches unset fields
+ *   [field, op, value]        one comparison: = != > >= < <= contains like in
+ *   [clause, ...]             every clause matches
+ *   { $or: [clause, ...] }    at least one clause matches
+ */
+
+const { BadRequest } = require('./errors');
+const { quote, coerce, toSQL, fromSQL } = require('./schema');
+
+// Columns every undeclared SQL table has outside its JSON data column
+const BLOB_COLUMNS = ['id', 'created_at'];
+
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'like', 'in'];
+
+/**
+ * The filter as a tree of { and }, { or } and { field, op, value } nodes
+ */
+function normalize(filter) {
+  if (filter === null || filter === undefined) return { and: [] };
+
+  if (Array.isArray(filter)) {
+    if (typeof filter[0] !== 'string') return { and: filter.map(normalize) };
+    const [field, op, value] = filter;
+    if (!OPERATORS.includes(op)) throw new BadRequest(`Unknown filter operator '${op}' for ${field}`);
+    return { field, op, value };
+  }
+
+  if (typeof filter !== 'object') throw new BadRequest('A filter must be an object');
+  if (Array.isArray(filter.$or)) return { or: filter.$or.map(normalize) };
+  return { and: Object.keys(filter).map(field => ({ field, op: '=', value: filter[field] })) };
+}
+
+/**
+ * A filter value as the table stores it: declared columns check and convert it like a write would,
+ * so ?{id: $.id} finds the row whether the id arrived as a string or a number
+ */
+function filterValue(schema, key, value) {
+  if (value === undefined || value === null) return null;
+  if (!schema) return value;
+  return coerce(schema.table, key, schema.columns[key], value);
+}
+
+/**
+ * The values an = filter matches. Undeclared tables don't know a field's type, so a number written
+ * as text, like a route param in ?{age: $.age}, matches both the text and the number
+ */
+function alternatives(schema, value) {
+  if (schema || typeof value !== 'string' || value.trim() === '' || String(Number(value)) !== value) return [value];
+  return [value, Number(value)];
+}
+
+// The comparison's value, checked and converted for its operator
+function operand(schema, { field, op, value }) {
+  if (schema && !schema.columns[field]) throw new BadRequest(`${schema.table} has no column '${field}'`);
+
+  if (op === 'in') {
+    if (!Array.isArray(value)) throw new BadRequest(`${field} in needs a list of values`);
+    // IN never matches NULL in SQL, so null entries are dropped
+    return value.map(item => filterValue(schema, field, item)).filter(item => item !== null);
+  }
+  if (op === 'contains' || op === 'like') {
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new BadRequest(`${field} ${op === 'like' ? 'like' : '~'} needs a string`);
+    }
+    return String(value);
+  }
+  return filterValue(schema, field, value);
+}
+
+// ---- SQL ----
+
+/**
+ * What differs between SQL databases. The SQL here is SQLite's; other SQL adapters pass their own dialect
+ *   types                            column type -> the database's type
+ *   autoKey                          an auto-incrementing integer primary key
+ *   createdAt                        the type of an undeclared table's created_at column
+ *   now                              the current time in milliseconds since the epoch, for time.default(now)
+ *   nullFailsCheck                   whether an enum's CHECK has to let NULL through itself
+ *   defaultValues(pk)                INSERT INTO table ... for a row of defaults only
+ *   bool(value)                      a boolean as the database stores it
+ *   jsonKey(field)                   the parameter that names a field for "data" -> ?
+ *   fromJSON(value)                  a JSON value as the driver gives it back, parsed
+ *   fromTimestamp(value)             created_at as SQLite writes it
+ *   blobField(field, params, text)   a field inside an undeclared table's JSON data column (text: as text, for LIKE)
+ *   blobValue(value)                 a filter value as blobField gives it back
+ *   text(sql)                        a column as text, for LIKE
+ *   like(sql, escaped)               sql LIKE the ? pattern, ignoring case; escaped: \ escapes % and _ in it
+ *   noLimit                          the LIMIT that means no limit
+ *   order(schema, field, params, descending)
+ *                                    ORDER BY terms for one key: NULL first and strings by code point, as in memory
+ *   rowOrder(schema)                 the last ORDER BY term, which keeps rows in insertion order
+ *   aggregate(fn, sql)               SUM, AVG, MIN or MAX of a column
+ *   groupKey(name, i)                GROUP BY term for the i-th group field
+ */
+const SQLITE = {
+  types: {
+    int: 'INTEGER',
+    float: 'REAL',
+    decimal: 'NUMERIC',
+    str: 'TEXT',
+    text: 'TEXT',
+    bool: 'INTEGER',
+    time: 'INTEGER',
+    json: 'TEXT',
+    enum: 'TEXT'
+  },
+  autoKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  createdAt: 'DATETIME',
+  now: "(CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER))",
+  nullFailsCheck: false,
+  defaultValues: () => 'DEFAULT VALUES',
+  bool: value => (value ? 1 : 0),
+  jsonKey: jsonPath,
+  fromJSON: value => JSON.parse(value),
+  fromTimestamp: value => value,
+  blobField(field, params) {
+    params.push(this.jsonKey(field));
+    return `json_extract("data", ?)`;
+  },
+  blobValue,
+  text: sql => sql,
+  like: (sql, escaped) => `${sql} LIKE ?${escaped ? " ESCAPE '\\'" : ''}`,
+  noLimit: -1,
+  order(schema, field, params, descending) {
+    return `${fieldSQL(schema, field, params, this)} ${descending ? 'DESC' : 'ASC'}`;
+  },
+  // rowid keeps insertion order even when SQLite walks an index
+  rowOrder: () => 'rowid',
+  aggregate: (fn, sql) => `${SQL_AGGREGATES[fn]}(${sql})`,
+  groupKey: (name, i) => i + 1
+};
+
+/**
+ * WHERE clause for an SQL table; undeclared tables are searched inside their JSON data column
+ *   { sql: ' WHERE ...' or '', params: [...] }
+ */
+function whereSQL(schema, filter, dialect = SQLITE) {
+  const params = [];
+  const tree = normalize(filter);
+  if (tree.and && !tree.and.length) return { sql: '', params };
+  return { sql: ` WHERE ${conditionSQL(schema, tree, params, dialect)}`, params };
+}
+
+function conditionSQL(schema, node, params, dialect) {
+  if (node.and || node.or) {
+    const parts = (node.and || node.or).map(child => conditionSQL(schema, child, params, dialect));
+    if (!parts.length) return node.and ? 'TRUE' : 'FALSE';
+    return parts.length === 1 ? parts[0] : `(${parts.join(node.and ? ' AND ' : ' OR ')})`;
+  }
+
+  const value = operand(schema, node);
+  if (node.op === 'in' && !value.length) return 'FALSE';
+
+  // LIKE reads the field as text
+  const field = fieldSQL(schema, node.field, params, dialect, node.op === 'contains' || node.op === 'like');
+  const stored = item => {
+    if (schema) return toSQL(schema.columns[node.field], item, dialect);
+    return BLOB_COLUMNS.includes(node.field) ? item : dialect.blobValue(item);
+  };
+  // Real columns convert text to their own type
+  const options = item => BLOB_COLUMNS.includes(node.field) ? [item] : alternatives(schema, item);
+
+  switch (node.op) {
+    case '=':
+    case '!=': {
+      if (value === null) return `${field} IS ${node.op === '=' ? '' : 'NOT '}NULL`;
+      const values = options(value);
+      params.push(...values.map(stored));
+      const sql = values.length === 1 ? `${field} = ?` : `${field} IN (?, ?)`;
+      // != also keeps rows where the field is unset, as !== does
+      return node.op === '=' ? sql : `COALESCE(NOT ${sql}, TRUE)`;
+    }
+    case 'in': {
+      const values = value.flatMap(options);
+      params.push(...values.map(stored));
+      return `${field} IN (${values.map(() => '?').join(', ')})`;
+    }
+    case 'contains':
+      params.push(`%${value.replace(/[\\%_]/g, '\\$&')}%`);
+      return dialect.like(field, true);
+    case 'like':
+      params.push(value);
+      return dialect.like(field, false);
+    default:
+      params.push(value === null ? null : stored(value));
+      return `${field} ${node.op} ?`;
+  }
+}
+
+// A column, or for undeclared tables the field inside the JSON data column
+function fieldSQL(schema, field, params, dialect = SQLITE, text = false) {
+  if (schema || BLOB_COLUMNS.includes(field)) return text ? dialect.text(quote(field)) : quote(field);
+  return dialect.blobField(field, params, text);
+}
+
+// Path of a field inside an undeclared table's JSON data column
+function jsonPath(field) {
+  return `$."${field.replace(/"/g, '\\"')}"`;
+}
+
+// json_extract gives booleans back as 0/1 and objects as JSON text
+function blobValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// ---- In memory ----
+
+/**
+ * The in-memory version of whereSQL
+ */
+function matches(schema, filter, item) {
+  return test(schema, normalize(filter), item);
+}
+
+function test(schema, node, item) {
+  if (node.and) return node.and.every(child => test(schema, child, item));
+  if (node.or) return node.or.some(child => test(schema, child, item));
+
+  const value = operand(schema, node);
+  const actual = item[node.field] === undefined ? null : item[node.field];
+
+  switch (node.op) {
+    case '=':
+      return alternatives(schema, value).some(option => same(actual, option));
+    case '!=':
+      return !alternatives(schema, value).some(option => same(actual, option));
+    case 'in':
+      return actual !== null && value.flatMap(option => alternatives(schema, option)).some(option => same(actual, option));
+    case 'contains':
+      return actual !== null && foldCase(text(actual)).includes(foldCase(value));
+    case 'like':
+      return actual !== null && likePattern(value).test(text(actual));
+    default: {
+      if (actual === null || value === null) return false;
+      const order = compare(actual, value);
+      if (node.op === '>') return order > 0;
+      if (node.op === '>=') return order >= 0;
+      if (node.op === '<') return order < 0;
+      return order <= 0;
+    }
+  }
+}
+
+// Objects and arrays compare by content, as their JSON text does in SQLite
+function same(actual, value) {
+  if (value !== null && typeof value === 'object') return JSON.stringify(actual) === JSON.stringify(value);
+  return actual === value;
+}
+
+/**
+ * Sort order as SQLite has it: NULL first, then numbers (booleans are 0/1), then text (objects as JSON)
+ */
+function compare(a, b) {
+  const x = sortable(a);
+  const y = sortable(b);
+  const rank = value => (value === null ? 0 : typeof value === 'number' ? 1 : 2);
+  if (rank(x) !== rank(y)) return rank(x) - rank(y);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function sortable(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// What LIKE sees: SQLite stores booleans as 0/1
+function text(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// LIKE ignores case for ASCII letters only
+function foldCase(value) {
+  return value.replace(/[A-Z]/g, letter => letter.toLowerCase());
+}
+
+// % matches any run of characters, _ any single one
+function likePattern(pattern) {
+  const source = [...pattern].map(char => {
+    if (char === '%') return '[\\s\\S]*';
+    if (char === '_') return '[\\s\\S]';
+    const lower = foldCase(char);
+    const upper = lower.toUpperCase();
+    const escaped = char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return /[a-z]/.test(lower) && lower !== upper ? `[${lower}${upper}]` : escaped;
+  });
+  return new RegExp(`^${source.join('')}$`);
+}
+
+// ---- Paging ----
+
+// limit/offset may come straight from the query string
+function paging(options = {}) {
+  const read = name => {
+    const value = options[name];
+    if (value === undefined || value === null) return null;
+    const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < 0) throw new BadRequest(`${name} must be a non-negative integer`);
+    return number;
+  };
+  return { limit: read('limit'), offset: read('offset') };
+}
+
+/**
+ * LIMIT/OFFSET clause; SQLite only accepts OFFSET after a LIMIT, and -1 means no limit
+ */
+function pageSQL(options, dialect = SQLITE) {
+  const { limit, offset } = paging(options);
+  if (limit === null && offset === null) return { sql: '', params: [] };
+  return { sql: ' LIMIT ? OFFSET ?', params: [limit === null ? dialect.noLimit : limit, offset || 0] };
+}
+
+/**
+ * Order, limit/offset, the field list and the total for rows already filtered in memory
+ */
+function page(schema, rows, options = {}) {
+  const { limit, offset } = paging(options);
+  const fields = fieldList(schema, options);
+  const start = offset || 0;
+  const selected = sortRows(schema, rows, options).slice(start, limit === null ? undefined : start + limit);
+  return withTotal(fields ? selected.map(record => project(record, fields)) : selected, rows.length);
+}
+
+// ---- Ordering ----
+
+/**
+ * The sort keys of a read, @posts^-created_at^title -> ["-created_at", "title"], as [{ field, descending }]
+ */
+function orderList(schema, options = {}) {
+  const { order } = options;
+  if (order === undefined || order === null) return [];
+
+  return (Array.isArray(order) ? order : [order]).map(key => {
+    if (typeof key !== 'string' || key === '' || key === '-') throw new BadRequest('order must be a list of field names');
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+    if (schema && !schema.columns[field]) throw new BadRequest(`${schema.table} has no column '${field}'`);
+    return { field, descending };
+  });
+}
+
+/**
+ * ORDER BY clause; the dialect's rowOrder comes last so rows that tie (or reads without an order)
+ * keep insertion order, as they do in memory
+ */
+function orderSQL(schema, options, dialect = SQLITE) {
+  const params = [];
+  const terms = orderList(schema, options).map(({ field, descending }) => dialect.order(schema, field, params, descending));
+  return { sql: ` ORDER BY ${[...terms, dialect.rowOrder(schema)].join(', ')}`, params };
+}
+
+// A stable sort with SQLite's ordering of mixed values
+function sortRows(schema, rows, options) {
+  const keys = orderList(schema, options);
+  if (!keys.length) return rows;
+
+  return [...rows].sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const order = compare(a[field], b[field]);
+      if (order) return descending ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// ---- Fields ----
+
+/**
+ * The fields a read asks for (@users[name,email]), checked against the table; null means every field
+ */
+function fieldList(schema, options = {}) {
+  const { fields } = options;
+  if (fields === undefined || fields === null) return null;
+  if (!Array.isArray(fields) || !fields.length) throw new BadRequest('fields must be a list of field names');
+  if (schema) {
+    const unknown = fields.find(field => !schema.columns[field]);
+    if (unknown !== undefined) throw new BadRequest(`${schema.table} has no column '${unknown}'`);
+  }
+  return fields;
+}
+
+function project(record, fields) {
+  if (!fields) return record;
+  const picked = {};
+  for (const field of fields) picked[field] = record[field] === undefined ? null : record[field];
+  return picked;
+}
+
+// ---- Aggregates ----
+
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+const SQL_AGGREGATES = { sum: 'TOTAL', avg: 'AVG', min: 'MIN', max: 'MAX' };
+
+/**
+ * What an aggregate read asks for, checked against the table
+ *   { fn: 'count' | 'sum' | 'avg' | 'min' | 'max', field, group: [field, ...] }
+ */
+function aggregateSpec(schema, spec = {}) {
+  const { fn } = spec;
+  if (!AGGREGATES.includes(fn)) throw new BadRequest(`Unknown aggregate '${fn}'`);
+  const field = fn === 'count' ? null : spec.field;
+  if (fn !== 'count' && (typeof field !== 'string' || field === '')) throw new BadRequest(`${fn} needs a field name`);
+
+  const group = spec.group === undefined || spec.group === null ? [] : [].concat(spec.group);
+  if (group.some(name => typeof name !== 'string' || name === '')) throw new BadRequest('group must be a list of field names');
+  if (schema) {
+    const unknown = [field, ...group].find(name => name !== null && !schema.columns[name]);
+    if (unknown !== undefined) throw new BadRequest(`${schema.table} has no column '${unknown}'`);
+  }
+  return { fn, field, group };
+}
+
+/**
+ * SELECT list and GROUP BY of an aggregate read, as "$key0".. and "$value" for aggregateResult
+ * Undeclared tables group by each field's JSON, so values of different types (true and 1) stay apart as in memory
+ */
+function aggregateSQL(schema, spec, dialect = SQLITE) {
+  const { fn, field, group } = aggregateSpec(schema, spec);
+  const params = [];
+  const keys = group.map((name, i) => {
+    if (schema || BLOB_COLUMNS.includes(name)) return `${quote(name)} AS "$key${i}"`;
+    params.push(dialect.jsonKey(name));
+    return `"data" -> ? AS "$key${i}"`;
+  });
+  const value = fn === 'count' ? 'COUNT(*)' : dialect.aggregate(fn, fieldSQL(schema, field, params, dialect));
+
+  return {
+    sql: [...keys, `${value} AS "$value"`].join(', '),
+    params,
+    groupSQL: group.length ? ` GROUP BY ${group.map(dialect.groupKey).join(', ')}` : ''
+  };
+}
+
+// The rows of aggregateSQL as the read's result
+function aggregateResult(schema, spec, rows, dialect = SQLITE) {
+  const { fn, field, group } = aggregateSpec(schema, spec);
+  const read = (name, value) => {
+    if (schema) return fromSQL(schema, { [name]: value }, dialect, [name])[name];
+    return value === null || BLOB_COLUMNS.includes(name) ? value : dialect.fromJSON(value);
+  };
+  // MIN and MAX give back a stored value; COUNT, TOTAL and AVG always give numbers (or null)
+  const value = row => (schema && (fn === 'min' || fn === 'max') ? read(field, row.$value) : row.$value);
+
+  if (!group.length) return value(rows[0]);
+  return sortGroups(group, rows.map(row => groupRow(group, group.map((name, i) => read(name, row[`$key${i}`])), fn, value(row))));
+}
+
+/**
+ * The in-memory version of aggregateSQL and aggregateResult, over rows already filtered:
+ * the value, or [{ ...group fields, [fn]: value }] per group, ordered by the group fields
+ */
+function aggregate(schema, rows, spec) {
+  const { fn, field, group } = aggregateSpec(schema, spec);
+  if (!group.length) return aggregateValue(fn, field, rows);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const keys = group.map(name => (row[name] === undefined ? null : row[name]));
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, items: [] });
+    groups.get(id).items.push(row);
+  }
+  return sortGroups(group, [...groups.values()].map(({ keys, items }) => groupRow(group, keys, fn, aggregateValue(fn, field, items))));
+}
+
+// Like SQL aggregates, sum, avg, min and max skip unset fields; sum is 0 and the others null when nothing is left
+function aggregateValue(fn, field, rows) {
+  if (fn === 'count') return rows.length;
+
+  const values = rows.map(row => row[field]).filter(value => value !== undefined && value !== null);
+  const total = values.reduce((sum, value) => sum + numeric(value), 0);
+  switch (fn) {
+    case 'sum':
+      return total;
+    case 'avg':
+      return values.length ? total / values.length : null;
+    default:
+      if (!values.length) return null;
+      return values.reduce((best, value) => {
+        const order = compare(value, best);
+        return (fn === 'min' ? order < 0 : order > 0) ? value : best;
+      });
+  }
+}
+
+// What SQLite adds up: booleans are 0/1 and text counts by the number it starts with
+function numeric(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value === 'string') return parseFloat(value) || 0;
+  return 0;
+}
+
+function groupRow(group, keys, fn, value) {
+  const row = {};
+  group.forEach((name, i) => { row[name] = keys[i]; });
+  row[fn] = value;
+  return row;
+}
+
+function sortGroups(group, rows) {
+  return sortRows(null, rows, { order: group });
+}
+
+// ---- Relations ----
+
+/**
+ * Shape rows whose related records are embedded under the relation names (@users.posts):
+ *   nested: a field list keeps the embedded relations as well as the named fields
+ *   flat:   naming related fields ([name, posts.title]) gives one row per combination, like a LEFT JOIN,
+ *           keyed by the names as written
+ */
+function joinRows(schemas, tableName, rows, options) {
+  const relations = options.with;
+  const fields = fieldList(null, options);
+  if (!fields) return rows;
+
+  const parts = fields.map(key => {
+    const [table, column] = key.includes('.') ? key.split('.') : [tableName, key];
+    if (table !== tableName && !relations.includes(table)) {
+      throw new BadRequest(`${key}: ${table} is not joined to ${tableName} here`);
+    }
+    const schema = schemas[table];
+    if (schema && !schema.columns[column] && !(table === tableName && relations.includes(column))) {
+      throw new BadRequest(`${table} has no column '${column}'`);
+    }
+    return { key, table, column };
+  });
+
+  if (!fields.some(key => key.includes('.'))) {
+    return withTotal(rows.map(row => project(row, [...fields, ...relations.filter(name => !fields.includes(name))])), rows.total);
+  }
+
+  const flat = rows.flatMap(row => {
+    let combinations = [{}];
+    for (const name of relations) {
+      const related = Array.isArray(row[name]) ? row[name] : [row[name]];
+      const choices = related.length ? related : [null];
+      combinations = combinations.flatMap(combination => choices.map(record => ({ ...combination, [name]: record })));
+    }
+    return combinations.map(combination => {
+      const joined = {};
+      for (const { key, table, column } of parts) {
+        const source = table === tableName ? row : combination[table];
+        joined[key] = source && source[column] !== undefined ? source[column] : null;
+      }
+      return joined;
+    });
+  });
+  return withTotal(flat, rows.total);
+}
+
+// Reads carry how many records matched before limit/offset, for #page and _.total
+function withTotal(rows, total) {
+  Object.defineProperty(rows, 'total', { value: total, writable: true, configurable: true });
+  return rows;
+}
+
+module.exports = {
+  whereSQL,
+  matches,
+  compare,
+  pageSQL,
+  orderSQL,
+  page,
+  fieldList,
+  project,
+  withTotal,
+  joinRows,
+  aggregate,
+  aggregateSQL,
+  aggregateResult,
+  SQLITE,
+  BLOB_COLUMNS,
+  OPERATORS
+};
@@ -7,191 +7,393 @@ const express = require('express');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const errors = require('./errors');
+const { SlopError, NotFound, UniqueViolation, ForeignKeyViolation } = errors;
+const { normalizeSchema, prepareRow } = require('./schema');
+const { withTotal, joinRows } = require('./query');
+const { registerAdapter, resolveAdapter, MemoryAdapter, SQLiteAdapter } = require('./adapters');
 
 class Database {
   constructor() {
     this.connected = false;
     this.type = null;
     this.config = null;
-    this.data = {}; // In-memory storage fallback
-    this.db = null; // Database connection
+    this.basePath = process.cwd(); // The project directory, which adapters resolve relative files against
+    this.adapter = null; // Where queries go; see adapters/index.js
+    this.connecting = null; // Settles once the adapter is connected
+    this.schemas = {}; // Declared tables (@users: {...}), by name
+    this.tables = new Set(); // Tables the adapter has made sure exist
+    this.ensuring = new Map(); // Tables it is still making, by name: the promise of each
+    this.txContext = new AsyncLocalStorage(); // Set while the code running is inside @tx{...}
+    this.txRunning = null; // Settles when the last transaction started is over
+    this.running = new Set(); // Queries outside any transaction that are still running
+    this.queryContext = new AsyncLocalStorage(); // Set while one of them runs, for the queries it makes itself
   }
 
-  connect(type, config) {
-    this.type = type;
+  /**
+   * Use the adapter database.type names (memory when unset) with its connection setting
+   * SQLite falls back to memory when better-sqlite3 can't load, so the server still starts
+   */
+  connect(type, config, basePath = process.cwd()) {
+    const Adapter = resolveAdapter(type, basePath);
+    this.type = type || 'memory';
     this.config = config;
+    this.basePath = basePath;
     this.connected = true;
+    this.tables.clear();
+    this.ensuring.clear();
 
-    if (type === 'sqlite') {
-      try {
-        const Database = require('better-sqlite3');
-        this.db = new Database(config);
-        console.log(`✓ SQLite database connected: ${config}`);
-        this.initSQLite();
-      } catch (error) {
-        console.warn(`⚠ SQLite not available, using in-memory storage`);
-        this.db = null;
-      }
-    } else if (type === 'memory' || !type) {
-      console.log(`✓ Using in-memory database`);
-      this.db = null;
-    } else {
-      console.log(`Database type '${type}' not yet supported, using in-memory`);
-      this.db = null;
+    try {
+      this.adapter = new Adapter(config, this);
+      this.connecting = Promise.resolve(this.adapter.connect());
+    } catch (error) {
+      if (Adapter !== SQLiteAdapter) throw error;
+      console.warn(`⚠ SQLite not available, using in-memory storage`);
+      this.type = 'memory';
+      // The connection names an SQLite file, not one the memory store could keep its data in
+      this.adapter = new MemoryAdapter(null, this);
+      this.connecting = Promise.resolve(this.adapter.connect());
     }
+
+    // A failed connection is reported again by every query that needs it
+    this.connecting.catch(error => console.error(`✗ Could not connect to the ${this.type} database: ${error.message}`));
+
+    // Tables declared before the connection was made
+    Object.keys(this.schemas).forEach(tableName => this.createTable(tableName));
+  }
+
+  async close() {
+    if (!this.adapter) return;
+    await this.connecting.catch(() => {});
+    await this.adapter.close();
+    this.adapter = null;
+    this.connected = false;
+  }
+
+  /**
+   * Declare a table's columns; declared tables get typed columns and constraints instead of a JSON blob
+   */
+  define(tableName, columns) {
+    this.declare(tableName, columns);
+    this.createTable(tableName);
+  }
+
+  // Record a declaration without touching the database (cslop migrate compares it to the live tables)
+  declare(tableName, columns) {
+    this.schemas[tableName] = normalizeSchema(tableName, columns);
+    this.tables.delete(tableName);
+    this.ensuring.delete(tableName);
+  }
+
+  // Create a declared table up front; a failure shows again on the first query that needs the table
+  createTable(tableName) {
+    if (this.adapter) this.ready(tableName).catch(() => {});
+  }
+
+  /**
+   * The connected adapter, once tableName exists; tables a declaration points at are created first
+   * Without a configured database the memory store is used
+   */
+  async ready(tableName = null, creating = new Set()) {
+    if (!this.adapter) this.connect('memory');
+    const { adapter } = this;
+    await this.connecting;
+    if (!tableName || this.tables.has(tableName) || creating.has(tableName)) return adapter;
+
+    // Queries that arrive while the table is being made wait for it instead of making it again
+    let ensuring = this.ensuring.get(tableName);
+    if (!ensuring) {
+      creating.add(tableName);
+      ensuring = this.ensureTable(adapter, tableName, creating).finally(() => {
+        if (this.ensuring.get(tableName) === ensuring) this.ensuring.delete(tableName);
+      });
+      this.ensuring.set(tableName, ensuring);
+    }
+    await ensuring;
+    return adapter;
+  }
+
+  async ensureTable(adapter, tableName, creating) {
+    const schema = this.schemas[tableName] || null;
+    for (const column of Object.values(schema ? schema.columns : {})) {
+      if (column.fk && this.schemas[column.fk]) await this.ready(column.fk, creating);
+    }
+    await adapter.ensureTable(tableName, schema);
+    this.tables.add(tableName);
+  }
+
+  // Primary key column of a table; undeclared tables use id
+  primaryKey(tableName) {
+    return this.schemas[tableName] ? this.schemas[tableName].pk : 'id';
+  }
+
+  // True when some row of tableName has column = value, ignoring the row whose key is `except`
+  async hasRow(tableName, column, value, except = null) {
+    const adapter = await this.ready(tableName);
+    return adapter.exists(tableName, this.schemas[tableName] || null, column, value, except);
   }
 
-  initSQLite() {
-    // Create tables dynamically as they're used
-    // This is a simple implementation - real apps should use migrations
+  // UNIQUE columns and foreign keys are checked here for every backend, so the errors read the same
+  async checkConstraints(schema, row, currentId = null) {
+    for (const [name, column] of Object.entries(schema.columns)) {
+      const value = row[name];
+      if (value === undefined || value === null) continue;
+
+      if ((column.unique || column.pk) && await this.hasRow(schema.table, name, value, currentId)) {
+        throw new UniqueViolation(`${schema.table}.${name} must be unique`);
+      }
+      if (column.fk && !await this.hasRow(column.fk, this.primaryKey(column.fk), value)) {
+        throw new ForeignKeyViolation(`${schema.table}.${name}: ${column.fk} ${value} does not exist`);
+      }
+    }
   }
 
-  ensureTable(tableName) {
-    if (this.db && this.type === 'sqlite') {
-      // Check if table exists, create if not
-      const tableExists = this.db.prepare(
-        `SELECT name FROM sqlite_master WHERE type='table' AND name=?`
-      ).get(tableName);
-
-      if (!tableExists) {
-        // Create a simple table with id and data columns
-        this.db.prepare(`
-          CREATE TABLE IF NOT EXISTS ${tableName} (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            data TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `).run();
+  // Deleting a row that others still point at fails, like an SQLite foreign key without ON DELETE
+  async checkReferences(schema, id) {
+    for (const other of Object.values(this.schemas)) {
+      for (const [name, column] of Object.entries(other.columns)) {
+        if (column.fk === schema.table && await this.hasRow(other.table, name, id)) {
+          throw new ForeignKeyViolation(`${schema.table} ${id} is still referenced by ${other.table}.${name}`);
+        }
       }
-    } else if (!this.data[tableName]) {
-      this.data[tableName] = [];
     }
   }
 
-  getTable(tableName) {
-    this.ensureTable(tableName);
-
-    // SQLite implementation
-    if (this.db && this.type === 'sqlite') {
-      return {
-        findAll: async () => {
-          const rows = this.db.prepare(`SELECT * FROM ${tableName}`).all();
-          return rows.map(row => ({
-            id: row.id,
-            ...JSON.parse(row.data),
-            created_at: row.created_at
-          }));
-        },
-
-        findById: async (id) => {
-          const row = this.db.prepare(`SELECT * FROM ${tableName} WHERE id = ?`).get(id);
-          if (!row) return null;
-          return {
-            id: row.id,
-            ...JSON.parse(row.data),
-            created_at: row.created_at
-          };
-        },
-
-        findWhere: async (filter) => {
-          const rows = this.db.prepare(`SELECT * FROM ${tableName}`).all();
-          return rows
-            .map(row => ({
-              id: row.id,
-              ...JSON.parse(row.data),
-              created_at: row.created_at
-            }))
-            .filter(item => {
-              for (const key in filter) {
-                if (item[key] !== filter[key]) return false;
-              }
-              return true;
-            });
-        },
-
-        insert: async (data) => {
-          const result = this.db.prepare(
-            `INSERT INTO ${tableName} (data) VALUES (?)`
-          ).run(JSON.stringify(data));
-
-          return {
-            id: result.lastInsertRowid,
-            ...data
-          };
-        },
-
-        update: async (id, data) => {
-          const existing = await this.getTable(tableName).findById(id);
-          if (!existing) return null;
-
-          const updated = { ...existing, ...data };
-          delete updated.id;
-          delete updated.created_at;
-
-          this.db.prepare(
-            `UPDATE ${tableName} SET data = ? WHERE id = ?`
-          ).run(JSON.stringify(updated), id);
-
-          return { id, ...updated };
-        },
-
-        delete: async (id) => {
-          const existing = await this.getTable(tableName).findById(id);
-          if (!existing) return null;
-
-          this.db.prepare(`DELETE FROM ${tableName} WHERE id = ?`).run(id);
-          return existing;
+  /**
+   * @tx{...}: run `fn` as one unit; if it throws, everything it wrote is undone and the error propagates
+   * A transaction inside another one joins it
+   */
+  async transaction(fn) {
+    if (this.txContext.getStore()) return fn();
+
+    // The turn is taken before anything is awaited, so transactions started together run one after another
+    const work = (this.txRunning || Promise.resolve()).then(async () => {
+      const adapter = await this.ready();
+      // Adapters on one connection (PostgreSQL) would run queries still in flight inside the transaction
+      await Promise.allSettled(this.running);
+      return this.txContext.run(true, async () => {
+        await adapter.begin();
+        try {
+          const result = await fn();
+          await adapter.commit();
+          return result;
+        } catch (error) {
+          await adapter.rollback();
+          // Tables created inside the transaction are gone again
+          this.tables.clear();
+          this.ensuring.clear();
+          throw error;
         }
-      };
+      });
+    });
+    const over = work.then(() => {}, () => {});
+    this.txRunning = over;
+    over.then(() => { if (this.txRunning === over) this.txRunning = null; });
+    return work;
+  }
+
+  // Queries outside the transaction in progress wait for it, so they neither see nor join its writes
+  async idle() {
+    while (this.txRunning && !this.txContext.getStore()) await this.txRunning;
+  }
+
+  // Every table method waits its turn behind a transaction it isn't part of
+  queued(table) {
+    return Object.fromEntries(Object.entries(table).map(([name, method]) => [name, (...args) => this.outside(() => method(...args))]));
+  }
+
+  // Run a query once no transaction is in the way; the next transaction waits for it in turn
+  async outside(query) {
+    // Reads of related tables belong to the query that makes them
+    if (this.queryContext.getStore()) return query();
+    await this.idle();
+    if (this.txContext.getStore()) return query();
+    const running = Promise.resolve(this.queryContext.run(true, query));
+    this.running.add(running);
+    try {
+      return await running;
+    } finally {
+      this.running.delete(running);
     }
+  }
+
+  // @raw(sql, params), for adapters that speak SQL
+  async raw(sql, params = []) {
+    const adapter = await this.ready();
+    if (typeof adapter.query !== 'function') {
+      throw new SlopError(`@raw needs an SQL database, but the ${this.type} store has none; set database.type in slop.json`);
+    }
+    if (typeof sql !== 'string') throw new SlopError('@raw needs the SQL as a string');
+    return this.outside(() => adapter.query(sql, params));
+  }
+
+  // Whether tableName has `field`; undeclared tables only know their fields from the records in them
+  async hasField(tableName, field) {
+    const schema = this.schemas[tableName];
+    if (schema) return Boolean(schema.columns[field]);
+    const adapter = await this.ready(tableName);
+    return adapter.hasField(tableName, field);
+  }
+
+  /**
+   * How tableName reaches `other` in @users.posts:
+   *   many: other.column holds our primary key (posts.userId, seen from users)
+   *   one:  our column holds other's primary key (posts.userId, seen from posts as @posts.users)
+   * Declared fk(@table) columns win over the <table>Id naming convention
+   */
+  async relation(tableName, other) {
+    const pointsAt = (from, to) => {
+      const schema = this.schemas[from];
+      return schema && Object.keys(schema.columns).find(name => schema.columns[name].fk === to);
+    };
+    const named = async (from, to) => {
+      for (const name of foreignKeyNames(to)) {
+        if (await this.hasField(from, name)) return name;
+      }
+      return null;
+    };
+
+    const many = pointsAt(other, tableName);
+    if (many) return { type: 'many', column: many };
+    const one = pointsAt(tableName, other);
+    if (one) return { type: 'one', column: one };
+    const manyByName = await named(other, tableName);
+    if (manyByName) return { type: 'many', column: manyByName };
+    const oneByName = await named(tableName, other);
+    if (oneByName) return { type: 'one', column: oneByName };
+
+    throw new SlopError(
+      `No relation between ${tableName} and ${other}: declare ${other}.${foreignKeyNames(tableName)[0]}: int.fk(@${tableName}) ` +
+      `or ${tableName}.${foreignKeyNames(other)[0]}: int.fk(@${other})`
+    );
+  }
+
+  // Embed related records in place, one query per relation however many rows there are
+  async embed(tableName, rows, relations) {
+    for (const name of relations) {
+      const link = await this.relation(tableName, name);
+      const key = link.type === 'many' ? this.primaryKey(tableName) : link.column;
+      const column = link.type === 'many' ? link.column : this.primaryKey(name);
+      const ids = [...new Set(rows.map(row => row[key]).filter(id => id !== null && id !== undefined))];
+      const related = ids.length ? await this.getTable(name).findWhere([[column, 'in', ids]]) : [];
+
+      const groups = new Map();
+      for (const record of related) {
+        if (!groups.has(record[column])) groups.set(record[column], []);
+        groups.get(record[column]).push(record);
+      }
+      for (const row of rows) {
+        const matches = groups.get(row[key]) || [];
+        row[name] = link.type === 'many' ? matches : matches[0] || null;
+      }
+    }
+  }
+
+  // Reads with `with` (@users.posts) embed related records; related fields in the field list flatten them
+  withRelations(tableName, table) {
+    // Base rows are read whole, since the keys that link them may not be among the fields
+    const base = options => ({ ...options, with: undefined, fields: undefined });
+    const related = async (rows, options) => {
+      const copies = withTotal(rows.map(row => ({ ...row })), rows.total);
+      await this.embed(tableName, copies, options.with);
+      return joinRows(this.schemas, tableName, copies, options);
+    };
 
-    // In-memory fallback
     return {
-      findAll: async () => {
-        return this.data[tableName];
+      ...table,
+
+      findAll: async (options = {}) => {
+        if (!options.with) return table.findAll(options);
+        return related(await table.findAll(base(options)), options);
       },
 
-      findById: async (id) => {
-        return this.data[tableName].find(item => item.id === id || item.id === parseInt(id));
+      // A flattened join of one record can still be several rows
+      findById: async (id, options = {}) => {
+        if (!options.with) return table.findById(id, options);
+        const rows = await related([await table.findById(id, base(options))], options);
+        return (options.fields || []).some(field => field.includes('.')) ? rows : rows[0];
       },
 
-      findWhere: async (filter) => {
-        return this.data[tableName].filter(item => {
-          for (const key in filter) {
-            if (item[key] !== filter[key]) return false;
-          }
-          return true;
-        });
+      findWhere: async (filter, options = {}) => {
+        if (!options.with) return table.findWhere(filter, options);
+        return related(await table.findWhere(filter, base(options)), options);
+      }
+    };
+  }
+
+  /**
+   * db.users: the table's queries, whatever the adapter
+   * Writes to declared tables are checked and converted here, so every adapter enforces a schema the same way
+   */
+  getTable(tableName) {
+    const ready = () => this.ready(tableName);
+    const schema = () => this.schemas[tableName] || null;
+
+    const findById = async (id, options = {}) => {
+      const record = await (await ready()).findById(tableName, schema(), id, options);
+      if (!record) throw new NotFound(`${tableName} ${id} not found`);
+      return record;
+    };
+
+    return this.queued(this.withRelations(tableName, {
+      findAll: async (options) => {
+        return (await ready()).find(tableName, schema(), null, options);
+      },
+
+      findById,
+
+      findWhere: async (filter, options) => {
+        return (await ready()).find(tableName, schema(), filter, options);
+      },
+
+      aggregate: async (filter, spec) => {
+        return (await ready()).aggregate(tableName, schema(), filter, spec);
       },
 
       insert: async (data) => {
-        const id = this.data[tableName].length + 1;
-        const record = { id, ...data };
-        this.data[tableName].push(record);
-        return record;
+        const adapter = await ready();
+        const declared = schema();
+        if (!declared) return adapter.insert(tableName, null, data || {});
+
+        const row = prepareRow(declared, data, { insert: true });
+        await this.checkConstraints(declared, row);
+        return adapter.insert(tableName, declared, row);
       },
 
       update: async (id, data) => {
-        const index = this.data[tableName].findIndex(item => item.id === id);
-        if (index !== -1) {
-          this.data[tableName][index] = { ...this.data[tableName][index], ...data };
-          return this.data[tableName][index];
-        }
-        return null;
+        const existing = await findById(id);
+        const adapter = await ready();
+        const declared = schema();
+        if (!declared) return adapter.update(tableName, null, existing.id, data || {});
+
+        const row = prepareRow(declared, data);
+        delete row[declared.pk];
+        await this.checkConstraints(declared, row, existing[declared.pk]);
+        return adapter.update(tableName, declared, existing[declared.pk], row);
       },
 
       delete: async (id) => {
-        const index = this.data[tableName].findIndex(item => item.id === id);
-        if (index !== -1) {
-          return this.data[tableName].splice(index, 1)[0];
-        }
-        return null;
+        const existing = await findById(id);
+        const declared = schema();
+        const key = existing[this.primaryKey(tableName)];
+        if (declared) await this.checkReferences(declared, key);
+        await (await ready()).delete(tableName, declared, key);
+        return existing;
       }
-    };
+    }));
   }
 }
 
-// Create proxy to automatically get tables
+// Column names the <table>Id convention looks for: users -> userId (or usersId), categories -> categoryId
+function foreignKeyNames(table) {
+  const singular = table.replace(/ies$/, 'y').replace(/s$/, '');
+  return [...new Set([`${singular}Id`, `${table}Id`])];
+}
+
+// db.users is db.getTable('users') for JavaScript code; members of Database (raw, transaction, ...) win over tables,
+// so compiled code always uses getTable
 const createDatabaseProxy = (db) => {
   return new Proxy(db, {
     get(target, prop) {
@@ -204,17 +406,57 @@ const createDatabaseProxy = (db) => {
 };
 
 // Request helper - maps $ to req properties
+// The same $ is shared by middleware and the route, so fields added along the way survive
 function createRequest(req) {
-  return {
+  const $ = req.slop || (req.slop = {});
+  return Object.assign($, {
     body: req.body,
     query: req.query,
     params: req.params,
     headers: req.headers,
     method: req.method,
-    path: req.path,
+    path: req.baseUrl + req.path,  // Middleware mounted at a prefix sees the full path too
     cookies: req.cookies,
     ...req.params  // Allow $.id syntax
-  };
+  });
+}
+
+// Middleware hands its result on: objects are merged into $, then the next handler runs
+function proceed($, value, next) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && value !== $) {
+    Object.assign($, value);
+  }
+  return next();
+}
+
+// Response transforms (*/api/* >># ...) rewrite successful res.json bodies, in declaration order
+function addTransform(res, transform) {
+  if (!res.transforms) {
+    res.transforms = [];
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      // Error responses go out untouched
+      if (res.statusCode >= 400) return json(body);
+
+      res.transforms
+        .reduce((promise, fn) => promise.then(fn), Promise.resolve(body))
+        .then(result => json(result), error => {
+          if (!error.status) console.error("Transform error:", error);
+          res.status(error.status || 500);
+          json({ error: error.message });
+        });
+      return res;
+    };
+  }
+  res.transforms.push(transform);
+}
+
+// Route files mounted under a prefix get their own router, so their paths and middleware stay under it
+function mount(runtime, prefix) {
+  const router = express.Router();
+  runtime.app.use(prefix, router);
+  return { ...runtime, app: router };
 }
 
 // Response helper - maps # to res methods
@@ -262,6 +504,21 @@ const utils = {
 
   sleep: (ms) => {
     return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+  // A response status as an error, for #404 inside @tx{...}: throwing it rolls the transaction back
+  httpError: (status, message = http.STATUS_CODES[status]) => {
+    return new SlopError(message, status);
+  },
+
+  // #page body: the records plus how many matched before :limit:offset
+  page: (items) => {
+    return { items, total: items && items.total !== undefined ? items.total : (items || []).length };
+  },
+
+  // A pipeline inside ~<html>: a list renders its items one after another
+  html: (value) => {
+    return Array.isArray(value) ? value.join('') : value;
   }
 };
 
@@ -290,6 +547,7 @@ function loadConfig(basePath) {
 
 function createRuntime(options = {}) {
   const app = express();
+  const basePath = options.basePath || process.cwd();
 
   // Middleware
   app.use(express.json());
@@ -307,11 +565,11 @@ function createRuntime(options = {}) {
   });
 
   // Load config first to check for static files
-  const config = loadConfig(options.basePath || process.cwd());
+  const config = loadConfig(basePath);
 
   // Serve static files if configured
   if (config && config.server && config.server.static) {
-    const staticPath = path.resolve(options.basePath || process.cwd(), config.server.static);
+    const staticPath = path.resolve(basePath, config.server.static);
     app.use(express.static(staticPath));
     console.log(`✓ Serving static files from: ${staticPath}`);
   }
@@ -321,23 +579,32 @@ function createRuntime(options = {}) {
 
   // Auto-connect database from config
   if (config && config.database) {
-    database.connect(config.database.type, config.database.connection);
+    database.connect(config.database.type, config.database.connection, basePath);
   }
 
   const db = createDatabaseProxy(database);
 
-  return {
+  const runtime = {
     app,
     db,
     request: createRequest,
     response: createResponse,
+    proceed,
+    transform: addTransform,
+    mount: prefix => mount(runtime, prefix),
+    // The loader replaces this with one that runs slop.json's server.routes files
+    mountRoutes: async () => {},
     utils,
-    config
+    config,
+    basePath
   };
+  return runtime;
 }
 
 module.exports = {
   createRuntime,
   Database,
-  utils
+  registerAdapter,
+  utils,
+  errors
 };
@@ -0,0 +1,210 @@
+/**
+ * C-slop Schema
+ * Column types and constraints from @table: {...} declarations, shared by every database backend
+ */
+
+const { BadRequest } = require('./errors');
+
+// Column types; each SQL dialect says how it stores them
+const TYPES = ['int', 'float', 'decimal', 'str', 'text', 'bool', 'time', 'json', 'enum'];
+
+const MODIFIERS = ['pk', 'auto', 'required', 'unique', 'nullable', 'default', 'onUpdate', 'fk'];
+
+/**
+ * Fill in what a declaration leaves implicit: every table gets a primary key, `id` unless one is declared
+ *   { table, pk, columns: { name: { type, pk, auto, required, unique, default, onUpdate, fk, values, length } } }
+ */
+function normalizeSchema(table, columns) {
+  let pk = Object.keys(columns).find(name => columns[name].pk);
+  const normalized = {};
+
+  if (!pk) {
+    pk = 'id';
+    normalized.id = { type: 'int', pk: true, auto: true };
+  }
+  for (const [name, column] of Object.entries(columns)) {
+    normalized[name] = { ...column, required: Boolean(column.required || (column.pk && !column.auto)) };
+  }
+
+  return { table, pk, columns: normalized };
+}
+
+/**
+ * Check and convert a row before it is written; inserts also get their defaults
+ * Throws BadRequest for unknown columns, missing required values and values of the wrong type
+ */
+function prepareRow(schema, data, { insert = false } = {}) {
+  const row = {};
+
+  for (const key of Object.keys(data || {})) {
+    if (!schema.columns[key]) throw new BadRequest(`${schema.table} has no column '${key}'`);
+  }
+
+  for (const [name, column] of Object.entries(schema.columns)) {
+    let value = data ? data[name] : undefined;
+
+    if (value === undefined) {
+      if (insert && column.default !== undefined) {
+        value = typeof column.default === 'function' ? column.default() : column.default;
+      } else if (!insert && column.onUpdate) {
+        value = column.onUpdate();
+      }
+    }
+    if (value === undefined) {
+      if (insert && column.required && !column.auto) throw new BadRequest(`${schema.table}.${name} is required`);
+      continue;
+    }
+
+    if (value === null) {
+      if (column.required) throw new BadRequest(`${schema.table}.${name} is required`);
+      row[name] = null;
+      continue;
+    }
+
+    row[name] = coerce(schema.table, name, column, value);
+  }
+
+  return row;
+}
+
+// Route params and form fields arrive as strings, so numeric strings count as numbers
+function coerce(table, name, column, value) {
+  const invalid = () => new BadRequest(`${table}.${name} must be ${describeType(column)}`);
+
+  switch (column.type) {
+    case 'int': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(number)) throw invalid();
+      return number;
+    }
+    case 'float':
+    case 'decimal': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid();
+      return number;
+    }
+    case 'str':
+    case 'text':
+      if (typeof value !== 'string') throw invalid();
+      if (column.length && value.length > column.length) {
+        throw new BadRequest(`${table}.${name} is longer than ${column.length} characters`);
+      }
+      return value;
+    case 'bool':
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (typeof value !== 'boolean') throw invalid();
+      return value;
+    case 'time': {
+      const time = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value;
+      if (!Number.isFinite(time)) throw invalid();
+      return time;
+    }
+    case 'enum':
+      if (!column.values.includes(value)) throw invalid();
+      return value;
+    default:
+      return value;
+  }
+}
+
+function describeType(column) {
+  switch (column.type) {
+    case 'int': return 'an integer';
+    case 'float':
+    case 'decimal': return 'a number';
+    case 'str':
+    case 'text': return 'a string';
+    case 'bool': return 'true or false';
+    case 'time': return 'a timestamp';
+    case 'enum': return `one of ${column.values.map(value => JSON.stringify(value)).join(', ')}`;
+    default: return column.type;
+  }
+}
+
+// ---- SQL ----
+// Where SQLite and PostgreSQL differ comes from a dialect: SQLITE in query.js, DIALECT in adapters/postgres.js
+
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function sqlLiteral(value) {
+  if (value === null) return 'NULL';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Column definition for CREATE TABLE / ALTER TABLE ADD COLUMN
+ */
+function columnSQL(schemas, name, column, dialect) {
+  const auto = column.pk && column.auto;
+  let sql = `${quote(name)} ${auto ? dialect.autoKey : dialect.types[column.type] || 'TEXT'}`;
+  if (column.pk && !auto) sql += ' PRIMARY KEY';
+  if (column.required && !column.pk) sql += ' NOT NULL';
+  if (column.unique && !column.pk) sql += ' UNIQUE';
+  // Other function defaults (uuid, expressions) are only filled in by prepareRow
+  if (column.default === Date.now) sql += ` DEFAULT ${dialect.now}`;
+  else if (column.default !== undefined && typeof column.default !== 'function') sql += ` DEFAULT ${sqlLiteral(toSQL(column, column.default, dialect))}`;
+  if (column.type === 'enum') {
+    const allowed = `${quote(name)} IN (${column.values.map(sqlLiteral).join(', ')})`;
+    sql += ` CHECK (${dialect.nullFailsCheck ? `${quote(name)} IS NULL OR ${allowed}` : allowed})`;
+  }
+  if (column.fk) {
+    const target = schemas[column.fk];
+    sql += ` REFERENCES ${quote(column.fk)}(${quote(target ? target.pk : 'id')})`;
+  }
+  return sql;
+}
+
+function createTableSQL(schemas, schema, dialect) {
+  const columns = Object.entries(schema.columns).map(([name, column]) => `  ${columnSQL(schemas, name, column, dialect)}`);
+  return `CREATE TABLE IF NOT EXISTS ${quote(schema.table)} (\n${columns.join(',\n')}\n)`;
+}
+
+// An undeclared table: each record is JSON in the data column
+function blobTableSQL(tableName, dialect) {
+  return `CREATE TABLE IF NOT EXISTS ${quote(tableName)} (
+  id ${dialect.autoKey},
+  data ${dialect.types.json} NOT NULL,
+  created_at ${dialect.createdAt} DEFAULT CURRENT_TIMESTAMP
+)`;
+}
+
+// Values as the database stores them; JSON goes as text, which pg would otherwise turn into PostgreSQL arrays
+function toSQL(column, value, dialect) {
+  if (value === null || value === undefined) return null;
+  if (column.type === 'bool') return dialect.bool(value);
+  if (column.type === 'json') return JSON.stringify(value);
+  return value;
+}
+
+// Only `names` are read when a query selected some of the columns; pg gives BIGINT and NUMERIC back as strings
+function fromSQL(schema, row, dialect, names = Object.keys(schema.columns)) {
+  const record = {};
+  for (const name of names) {
+    const column = schema.columns[name];
+    const value = row[name];
+    if (value === null || value === undefined) record[name] = null;
+    else if (['int', 'float', 'decimal', 'time'].includes(column.type)) record[name] = Number(value);
+    else if (column.type === 'bool') record[name] = Boolean(value);
+    else if (column.type === 'json') record[name] = dialect.fromJSON(value);
+    else record[name] = value;
+  }
+  return record;
+}
+
+module.exports = {
+  TYPES,
+  MODIFIERS,
+  normalizeSchema,
+  prepareRow,
+  coerce,
+  quote,
+  columnSQL,
+  createTableSQL,
+  blobTableSQL,
+  toSQL,
+  fromSQL
+};
@@ -0,0 +1,195 @@
+/**
+ * C-slop Source Maps
+ * Writes and reads v3 source maps and maps stack traces back to .slop files
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (vlq > 0);
+  return out;
+}
+
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Builds a single-source map; lines and columns are 1-based like the compiler's nodes
+ */
+class SourceMapGenerator {
+  constructor({ file = null, source = 'input.slop', content = null } = {}) {
+    this.file = file;
+    this.source = source;
+    this.content = content;
+    this.lines = [];
+  }
+
+  addMapping(generatedLine, generatedColumn, sourceLine, sourceColumn) {
+    const line = this.lines[generatedLine - 1] || (this.lines[generatedLine - 1] = []);
+    line.push({ generatedColumn: generatedColumn - 1, sourceLine: sourceLine - 1, sourceColumn: sourceColumn - 1 });
+  }
+
+  toJSON() {
+    let previousSourceLine = 0;
+    let previousSourceColumn = 0;
+
+    const mappings = Array.from(this.lines, (segments = []) => {
+      let previousColumn = 0;
+      return segments
+        .sort((a, b) => a.generatedColumn - b.generatedColumn)
+        .map(segment => {
+          const encoded = encodeVLQ(segment.generatedColumn - previousColumn) +
+            encodeVLQ(0) +
+            encodeVLQ(segment.sourceLine - previousSourceLine) +
+            encodeVLQ(segment.sourceColumn - previousSourceColumn);
+          previousColumn = segment.generatedColumn;
+          previousSourceLine = segment.sourceLine;
+          previousSourceColumn = segment.sourceColumn;
+          return encoded;
+        })
+        .join(',');
+    }).join(';');
+
+    const map = { version: 3 };
+    if (this.file) map.file = this.file;
+    map.sources = [this.source];
+    if (this.content !== null) map.sourcesContent = [this.content];
+    map.names = [];
+    map.mappings = mappings;
+    return map;
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+/**
+ * Looks up original positions in a v3 source map
+ */
+class SourceMapConsumer {
+  constructor(map) {
+    this.map = typeof map === 'string' ? JSON.parse(map) : map;
+    this.lines = [];
+
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+
+    this.map.mappings.split(';').forEach((line, index) => {
+      let generatedColumn = 0;
+      this.lines[index] = line ? line.split(',').map(segment => {
+        const values = decodeVLQ(segment);
+        generatedColumn += values[0];
+        if (values.length < 4) return { generatedColumn, source: null };
+        sourceIndex += values[1];
+        sourceLine += values[2];
+        sourceColumn += values[3];
+        return { generatedColumn, source: sourceIndex, line: sourceLine, column: sourceColumn };
+      }) : [];
+    });
+  }
+
+  // Both input and output positions are 1-based
+  originalPositionFor(line, column) {
+    const segments = (this.lines[line - 1] || []).filter(s => s.source !== null);
+    if (segments.length === 0) return null;
+
+    let match = segments[0];
+    for (const segment of segments) {
+      if (segment.generatedColumn <= column - 1) match = segment;
+    }
+
+    return {
+      source: this.map.sources[match.source],
+      line: match.line + 1,
+      column: match.column + 1
+    };
+  }
+}
+
+// Generated file name -> SourceMapConsumer
+const registry = new Map();
+let installed = false;
+
+/**
+ * Map stack frames in `file` back to the original source from now on
+ */
+function registerSourceMap(file, map) {
+  registry.set(file, map instanceof SourceMapConsumer ? map : new SourceMapConsumer(map));
+  if (!installed) installStackTraces();
+}
+
+// Frames from compiled .slop files are rewritten; everything else, and the formatting itself,
+// is left to whatever prepareStackTrace was there before (V8's own format when there was none)
+function installStackTraces() {
+  installed = true;
+  const previous = Error.prepareStackTrace;
+
+  Error.prepareStackTrace = (error, frames) => {
+    const mapped = frames.map(frame => (registry.has(frame.getFileName()) ? mapFrame(frame) : frame));
+    if (previous) return previous(error, mapped);
+
+    let header;
+    try {
+      header = Error.prototype.toString.call(error);
+    } catch {
+      header = 'Error';
+    }
+    return header + mapped.map(frame => `\n    at ${frame}`).join('');
+  };
+}
+
+// A call site that reports the .slop position; V8's call sites can't be subclassed, so this delegates
+function mapFrame(frame) {
+  const position = registry.get(frame.getFileName()).originalPositionFor(frame.getLineNumber(), frame.getColumnNumber());
+  if (!position) return frame;
+
+  const mapped = {};
+  for (const name of Object.getOwnPropertyNames(Object.getPrototypeOf(frame))) {
+    if (name !== 'constructor' && typeof frame[name] === 'function') mapped[name] = frame[name].bind(frame);
+  }
+
+  const location = `${position.source}:${position.line}:${position.column}`;
+  const name = frame.getFunctionName();
+  const prefix = frame.isAsync() ? 'async ' : '';
+  return Object.assign(mapped, {
+    getFileName: () => position.source,
+    getScriptNameOrSourceURL: () => position.source,
+    getLineNumber: () => position.line,
+    getColumnNumber: () => position.column,
+    toString: () => (name ? `${prefix}${name} (${location})` : `${prefix}${location}`)
+  });
+}
+
+module.exports = {
+  SourceMapGenerator,
+  SourceMapConsumer,
+  registerSourceMap,
+  encodeVLQ,
+  decodeVLQ
+};
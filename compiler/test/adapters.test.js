@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { registerAdapter, resolveAdapter, MemoryAdapter, SQLiteAdapter } = require('../src/adapters');
+const { Database } = require('../src/runtime');
+const { withServer } = require('./helpers');
+
+test('built-in adapters resolve by name, memory when unset', () => {
+  assert.strictEqual(resolveAdapter(), MemoryAdapter);
+  assert.strictEqual(resolveAdapter('sqlite'), SQLiteAdapter);
+  assert.throws(() => resolveAdapter('mysql'), /Unknown database type 'mysql'; use one of memory, sqlite, postgres, /);
+});
+
+test('registerAdapter checks the adapter contract', () => {
+  assert.throws(() => registerAdapter('', MemoryAdapter), /registerAdapter needs a name/);
+  assert.throws(() => registerAdapter('x', {}), /Adapter 'x' must be a class/);
+  assert.throws(() => registerAdapter('x', class { connect() {} }), /Adapter 'x' is missing close, ensureTable, find/);
+
+  class Named extends MemoryAdapter {}
+  assert.strictEqual(registerAdapter('named', Named), Named);
+  assert.strictEqual(resolveAdapter('named'), Named);
+});
+
+// Counts the calls that reach it, to show the runtime goes through the configured adapter
+const counting = `
+const { MemoryAdapter } = require(${JSON.stringify(require.resolve('../src/adapters'))});
+class Counting extends MemoryAdapter {
+  insert(...args) {
+    Counting.inserts = (Counting.inserts || 0) + 1;
+    return super.insert(...args);
+  }
+  find(...args) {
+    return super.find(...args).map(row => ({ ...row, inserts: Counting.inserts }));
+  }
+}
+module.exports = Counting;
+`;
+
+test('database.type can name a local adapter module', () => withServer(`
+*/users + @users!$.body > #json
+*/users > @users > #json
+`, { config: { database: { type: './db/counting.js' } }, files: { 'db/counting.js': counting } }, async app => {
+  await app.post('/users', { name: 'ann' });
+  await app.post('/users', { name: 'bob' });
+  assert.deepStrictEqual((await app.get('/users')).body.map(user => [user.name, user.inserts]), [['ann', 2], ['bob', 2]]);
+}));
+
+test('a local module that is not an adapter says what is missing', () => withServer(
+  '*/users > @users > #json',
+  { config: { database: { type: './db/broken.js' } }, files: { 'db/broken.js': 'module.exports = class {};' } },
+  async () => assert.fail('the server should not start')
+).then(() => assert.fail('expected an error'), error => {
+  assert.match(error.message, /Adapter '\.\/db\/broken\.js' is missing connect, close/);
+}));
+
+test('queries that arrive together make their table once', async () => {
+  let ensured = 0;
+  class Slow extends MemoryAdapter {
+    async ensureTable(...args) {
+      ensured++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return super.ensureTable(...args);
+    }
+  }
+  registerAdapter('slow', Slow);
+
+  const db = new Database();
+  db.connect('slow');
+  const users = db.getTable('users');
+  await Promise.all([users.insert({ name: 'ann' }), users.insert({ name: 'bob' }), users.findAll()]);
+  assert.strictEqual(ensured, 1);
+  assert.strictEqual((await users.findAll()).length, 2);
+  await db.close();
+});
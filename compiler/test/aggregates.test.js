@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { aggregate } = require('../src/query');
+const { backends, compileQuietly, diagnose, withServer } = require('./helpers');
+
+test('aggregates compile to one db.aggregate call', () => {
+  assert.match(compileQuietly('*/a > @users#count > #json'), /db\.getTable\('users'\)\.aggregate\(null, \{fn: "count"\}\)/);
+  assert.match(compileQuietly('*/a > @orders?{paid:true}#group(userId)#sum(total) > #json'),
+    /db\.getTable\('orders'\)\.aggregate\(\{paid: true\}, \{fn: "sum", field: "total", group: \["userId"\]\}\)/);
+});
+
+test('aggregates take a whole table or a filter, and one field', () => {
+  assert.match(diagnose('*/a > @users[1]#count > #json').errors[0], /Aggregates apply to a whole table or a \?\{\} filter/);
+  assert.match(diagnose('*/a > @orders#sum(a, b) > #json').errors[0], /#sum takes one field/);
+  assert.match(diagnose('*/a > @orders#count(a) > #json').errors[0], /#count takes no field/);
+  assert.match(diagnose('*/a > @orders#group(a) > #json').errors[0], /Expected #count, #sum\(field\)/);
+  assert.match(diagnose('*/a > @orders?{paid:true}.sum(total) > #json').errors[0], /Aggregates are written with #, like #page: @orders#sum\(\.\.\.\)/);
+});
+
+test('in-memory aggregates skip nulls like SQL', () => {
+  const rows = [{ n: 1 }, { n: null }, { n: 3 }, {}];
+  assert.strictEqual(aggregate(null, rows, { fn: 'count' }), 4);
+  assert.strictEqual(aggregate(null, rows, { fn: 'avg', field: 'n' }), 2);
+  assert.strictEqual(aggregate(null, [], { fn: 'sum', field: 'n' }), 0);
+  assert.strictEqual(aggregate(null, [], { fn: 'max', field: 'n' }), null);
+});
+
+const source = `
+*/orders + @orders!$.body > #json
+*/stats > @orders#count & @orders?{paid:true}#sum(total) > #json
+*/avg > @orders#avg(total) > #json({avg: _})
+*/range > @orders#min(total) & @orders#max(total) > #json
+*/by/user > @orders#group(userId)#sum(total) > #json
+*/by/both > @orders?{paid:true}#group(userId, status)#count > #json
+`;
+
+const orders = [
+  { userId: 2, total: 20, paid: true, status: 'sent' },
+  { userId: 1, total: 10, paid: true, status: 'sent' },
+  { userId: 1, total: 5.5, paid: false, status: 'new' },
+  { userId: 1, total: null, paid: true, status: 'sent' }
+];
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: aggregates agree`, () => withServer(source, { config }, async app => {
+    for (const order of orders) await app.post('/orders', order);
+
+    assert.deepStrictEqual((await app.get('/stats')).body, [4, 30]);
+    assert.deepStrictEqual((await app.get('/avg')).body, { avg: 35.5 / 3 });
+    assert.deepStrictEqual((await app.get('/range')).body, [5.5, 20]);
+    assert.deepStrictEqual((await app.get('/by/user')).body, [{ userId: 1, sum: 15.5 }, { userId: 2, sum: 20 }]);
+    assert.deepStrictEqual((await app.get('/by/both')).body, [
+      { userId: 1, status: 'sent', count: 2 },
+      { userId: 2, status: 'sent', count: 1 }
+    ]);
+  }));
+}
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { withServer } = require('./helpers');
+
+const seed = `
+*/seed + @users!$.body > #json
+`;
+
+async function seedUsers(app) {
+  for (const user of [{ name: 'ann', age: 30, active: true, balance: 5 }, { name: 'bob', age: 12, active: true, balance: 7 }, { name: 'cy', age: 40, active: false, balance: 11 }]) {
+    await app.post('/seed', user);
+  }
+}
+
+test('collection operators parse as stages with the rest of the pipeline', () => {
+  const [route] = parse('*/a > @users >? _.age > 18 >> {name:_.name} > #json').body;
+  assert.deepStrictEqual(route.handler.stages.map(stage => stage.kind || stage.type), ['DbOp', 'filter', 'map', 'Response']);
+});
+
+test('map, filter and reduce work on array literals', () => withServer(`
+*/map > [1, 2, 3] >> _ * 2 > #json
+*/filter > [1, 5, 10] >? _ > 4 > #json
+*/sum > [1, 2, 3] >+ _ : 10 > #json
+*/total > [1, 2, 3] >+ _ > #json
+`, async app => {
+  assert.deepStrictEqual((await app.get('/map')).body, [2, 4, 6]);
+  assert.deepStrictEqual((await app.get('/filter')).body, [5, 10]);
+  assert.strictEqual((await app.get('/sum')).body, 16);
+  assert.strictEqual((await app.get('/total')).body, 6);
+}));
+
+test('collection operators chain on query results', () => withServer(`${seed}
+*/adults > @users >? _.age > 18 >> {name:_.name} > #json
+*/balance > @users
+  >? _.active
+  >> {name:_.name, bal:_.balance}
+  >+ _.bal : 0
+  > #json
+`, async app => {
+  await seedUsers(app);
+  assert.deepStrictEqual((await app.get('/adults')).body, [{ name: 'ann' }, { name: 'cy' }]);
+  assert.strictEqual((await app.get('/balance')).body, 12);
+}));
+
+test('>! runs for every item and passes the list on unchanged', () => withServer(`
+*/each > {
+  seen: []
+  [1, 2] >! seen.push(_ * 10) > #json({list: _, seen})
+}
+`, async app => {
+  assert.deepStrictEqual((await app.get('/each')).body, { list: [1, 2], seen: [10, 20] });
+}));
+
+test('items can be mapped through async stages', () => withServer(`${seed}
+*/lookup > [1, 3] >> @users[_] >> _.name > #json
+*/known > [1, 2, 5] >? (@users?{id: _}).length > #json
+`, async app => {
+  await seedUsers(app);
+  assert.deepStrictEqual((await app.get('/lookup')).body, ['ann', 'cy']);
+  assert.deepStrictEqual((await app.get('/known')).body, [1, 2]);
+}));
+
+test('a list renders inside ~<html> through a pipeline', () => withServer(`${seed}
+*/list > #html(~<ul>{@users >> ~<li>{_.name}</li>}</ul>)
+*/adults > #html(~<p>{@users >? _.age > 18 >> _.name > _.join(", ")}</p>)
+*/check > #html(~<b>{1 > 2}</b>)
+`, async app => {
+  await seedUsers(app);
+  assert.strictEqual((await app.get('/list')).body, '<ul><li>ann</li><li>bob</li><li>cy</li></ul>');
+  assert.strictEqual((await app.get('/adults')).body, '<p>ann, cy</p>');
+  // A plain > inside {...} still compares
+  assert.strictEqual((await app.get('/check')).body, '<b>false</b>');
+}));
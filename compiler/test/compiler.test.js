@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('../src/lexer');
+const { parse } = require('../src/parser');
+const { compileQuietly, withServer } = require('./helpers');
+
+test('lexer keeps > inside strings and templates as text', () => {
+  const tokens = tokenize('*/a > #json({s: "a > b", t: `x > ${1}`})');
+  assert.deepStrictEqual(tokens.filter(t => t.type === 'op' && t.value === '>').length, 1);
+  assert.ok(tokens.some(t => t.type === 'string' && t.value === '"a > b"'));
+});
+
+test('parser builds routes, pipelines, db ops and responses', () => {
+  const [route] = parse('*/users/:id > @users[$.id] > #json').body;
+  assert.strictEqual(route.type, 'Route');
+  assert.strictEqual(route.method, 'get');
+  assert.strictEqual(route.path, '/users/:id');
+  assert.deepStrictEqual(route.handler.stages.map(stage => stage.type), ['DbOp', 'Response']);
+  assert.strictEqual(route.handler.stages[0].table, 'users');
+  assert.strictEqual(route.handler.stages[0].action, 'find');
+});
+
+test('parser reads every route method', () => {
+  const methods = parse('*/a > #json\n*/a + @a!$.body\n*/a ~ #json\n*/a - #json').body.map(route => route.method);
+  assert.deepStrictEqual(methods, ['get', 'post', 'put', 'delete']);
+});
+
+test('a #json body can span several lines', () => {
+  const code = compileQuietly('*/ > #json({\n  message: "hi",\n  n: 1\n})');
+  assert.match(code, /return res\.json\(\{message: "hi", n: 1\}\);/);
+});
+
+test('the example files compile', () => {
+  for (const file of ['simple.slop', 'test.slop', 'full-example.slop', 'example.slop', 'with-db.slop']) {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    assert.doesNotThrow(() => compileQuietly(source, { filename: file }), file);
+  }
+});
+
+test('routes answer with the pipeline result', () => withServer(`
+*/ > #json({message: "a > b", ok: true})
+*/users > @users > #json
+*/users/:id > @users[$.id] > #json
+*/users + @users!$.body > #json
+`, async app => {
+  assert.deepStrictEqual((await app.get('/')).body, { message: 'a > b', ok: true });
+  const created = await app.post('/users', { name: 'Ann' });
+  assert.strictEqual(created.body.name, 'Ann');
+  assert.deepStrictEqual((await app.get(`/users/${created.body.id}`)).body.name, 'Ann');
+  assert.strictEqual((await app.get('/users')).body.length, 1);
+}));
+
+test('a block after other stages gets the piped value', () => withServer(`
+*/seed + @users!$.body > #json
+*/a > @users > {
+  n: _.length
+  #json({n})
+}
+`, async app => {
+  await app.post('/seed', { name: 'Ann' });
+  await app.post('/seed', { name: 'Bob' });
+  const response = await app.get('/a');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, { n: 2 });
+}));
+
+test('a block keeps the lines of the stages before it', () => {
+  const code = compileQuietly('*/a > @users > {\n  n: _.length\n  #json({n})\n}');
+  assert.match(code, /const data0 = await db\.getTable\('users'\)\.findAll\(\);[\s\S]*const n = data0\.length;/);
+});
+
+test('top-level values are readable from every route', () => withServer(`
+limit: 2
+greeting: "hi " + limit
+hits = 0
+*/ > #json({limit, greeting, hits: hits = hits + 1})
+`, async app => {
+  assert.deepStrictEqual((await app.get('/')).body, { limit: 2, greeting: 'hi 2', hits: 1 });
+  assert.deepStrictEqual((await app.get('/')).body.hits, 2);
+}));
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compile } = require('../src/compiler');
+const { CompileError } = require('../src/diagnostics');
+const { diagnose, project, cslop } = require('./helpers');
+
+test('unknown symbols are errors with their position', () => {
+  const { diagnostics } = diagnose('*/a > #json\n*/b > #json({x: usrs})');
+  assert.deepStrictEqual(diagnostics.errors.map(d => [d.message, d.line, d.column]), [["Unknown symbol 'usrs'", 2, 17]]);
+});
+
+test('unbalanced braces are reported where they open', () => {
+  const { diagnostics } = diagnose('*/a > #json({a: 1}');
+  assert.deepStrictEqual(diagnostics.errors.map(d => [d.message, d.line, d.column]), [["Unclosed '('", 1, 12]]);
+});
+
+test('unknown responses suggest the closest one', () => {
+  assert.deepStrictEqual(diagnose('*/a > #jsn').errors, ["Unknown response '#jsn', did you mean '#json'?"]);
+});
+
+test('a route that never responds is a warning', () => {
+  const { errors, warnings } = diagnose('*/a > {\n  x: 1\n}');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['Route GET /a never sends a response']);
+});
+
+test('compile errors carry file:line:column and a code frame', () => {
+  assert.throws(() => compile('*/a > #json\n*/b > foo($)', { filename: 'api.slop' }), error => {
+    assert.ok(error instanceof CompileError);
+    assert.match(error.message, /^api\.slop:2:7: error: Unknown symbol 'foo'/);
+    assert.match(error.message, /> 2 \| \*\/b > foo\(\$\)\n\s+\|       \^/);
+    return true;
+  });
+});
+
+test('cslop check exits non-zero on errors and zero on a clean file', () => {
+  const broken = cslop(['check'], project({ 'api.slop': '*/a > #jsn' }));
+  assert.strictEqual(broken.status, 1);
+  assert.match(broken.stderr, /api\.slop:1:7: error: Unknown response '#jsn'/);
+  assert.match(broken.stdout, /1 error, 0 warnings/);
+
+  const clean = cslop(['check'], project({ 'api.slop': '*/a > #json({ok: true})' }));
+  assert.strictEqual(clean.status, 0);
+  assert.match(clean.stdout, /0 errors, 0 warnings/);
+});
+
+test('cslop check checks the entry, route and imported files the server runs', () => {
+  const dir = project({
+    'slop.json': JSON.stringify({ server: { entry: 'server/main.slop', routes: ['server/routes/*.slop'] } }),
+    'server/main.slop': '*/a > #json({ok: true})',
+    'server/routes/users.slop': 'import { shout } from "../lib/text.slop"\n*/users > shout("a") > #jsn',
+    'server/lib/text.slop': 'shout: (s) s.toUpperCase()\nbad: (s) s > #json',
+    'unused.slop': '*/x > #nope'
+  });
+  const result = cslop(['check'], dir);
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /✓.* server[\\/]main\.slop/);
+  assert.match(result.stderr, /server[\\/]routes[\\/]users\.slop:2:24: error: Unknown response '#jsn'/);
+  assert.match(result.stderr, /server[\\/]lib[\\/]text\.slop:2:14: error: Functions return values/);
+  assert.doesNotMatch(result.stderr, /unused\.slop/);
+  assert.match(result.stdout, /2 errors, 0 warnings/);
+});
+
+test('JavaScript declarations at the top level say what to write instead', () => {
+  assert.deepStrictEqual(diagnose('const limit = 10').errors, [
+    'Top-level lines are C-slop, not JavaScript: write limit: value (or limit = value to reassign it later)'
+  ]);
+  assert.deepStrictEqual(diagnose('limit: 1\nlimit: 2').errors, ["'limit' is already defined"]);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { jsModule, withServer } = require('./helpers');
+
+// deny(name) throws the named runtime error
+const deny = jsModule(`
+const errors = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'errors.js'))});
+module.exports.deny = name => { throw new errors[name](); };
+`);
+
+test('>| turns a failing stage into a response', () => withServer(`
+*/users/:id > @users[$.id] >| #404
+`, async app => {
+  assert.strictEqual((await app.get('/users/1')).status, 404);
+}));
+
+test('>| fallback values continue down the pipeline with _ as the error', () => withServer(`
+*/parse > JSON.parse($.query.raw) >| {items: []} > #json
+*/risky > JSON.parse("{") >| #json({failed: _.name})
+`, async app => {
+  assert.deepStrictEqual((await app.get('/parse?raw=[1]')).body, [1]);
+  assert.deepStrictEqual((await app.get('/parse?raw={')).body, { items: [] });
+  assert.deepStrictEqual((await app.get('/risky')).body, { failed: 'SyntaxError' });
+}));
+
+test('catch maps pick the handler by error name', () => withServer(`
+import {deny} from ${deny}
+
+*/e/:name > deny($.name) >| {
+  NotFound: #404
+  AuthErr: #401
+  _: #json({other: _.name})
+}
+*/partial/:name > deny($.name) >| {NotFound: #404}
+`, async app => {
+  assert.strictEqual((await app.get('/e/NotFound')).status, 404);
+  assert.strictEqual((await app.get('/e/AuthErr')).status, 401);
+  assert.deepStrictEqual((await app.get('/e/Forbidden')).body, { other: 'Forbidden' });
+
+  // Errors the map doesn't name keep propagating with their own status
+  const forbidden = await app.get('/partial/Forbidden');
+  assert.strictEqual(forbidden.status, 403);
+  assert.deepStrictEqual(forbidden.body, { error: 'Forbidden' });
+}));
+
+test('uncaught named errors answer with their status', () => withServer(`
+*/users/:id > @users[$.id] > #json
+`, async app => {
+  const response = await app.get('/users/7');
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(response.body, { error: 'users 7 not found' });
+}));
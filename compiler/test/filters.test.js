@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { matches } = require('../src/query');
+const { backends, compileQuietly, diagnose, withServer } = require('./helpers');
+
+test('?{} compiles comparisons, lists and | groups to filter data', () => {
+  const code = compileQuietly('*/a > @users?{active:true, age>21, role:"admin" | role:"mod", name~"an", id:[1, 2]} > #json');
+  assert.match(code, /db\.getTable\('users'\)\.findWhere\(\[\{active: true\}, \["age", ">", 21\], \{\$or: \[\{role: "admin"\}, \{role: "mod"\}\]\}, \["name", "contains", "an"\], \["id", "in", \[1, 2\]\]\]\)/);
+});
+
+test('a filter needs a field before each comparison', () => {
+  assert.match(diagnose('*/a > @users?{>21} > #json').errors[0], /Expected a field name in filter but found '>'/);
+});
+
+test('in-memory matching follows the same rules', () => {
+  const ann = { name: 'Ann', age: 30, bio: null };
+  assert.ok(matches(null, [['age', '>=', 30], ['name', 'contains', 'an']], ann));
+  assert.ok(matches(null, { $or: [{ age: 1 }, ['name', 'like', 'a%']] }, ann));
+  assert.ok(matches(null, { bio: null, nick: null }, ann));
+  assert.ok(!matches(null, [['age', 'in', [1, 2]]], ann));
+  assert.ok(matches(null, [['nick', '!=', 'x']], ann));
+});
+
+const source = `
+*/users + @users!$.body > #json
+*/q/adults > @users?{age>=21} > #json
+*/q/young > @users?{age<21, age!=null} > #json
+*/q/staff > @users?{role:"admin" | role:"mod"} > #json
+*/q/ids > @users?{id:[1, 3]} > #json
+*/q/an > @users?{name~"AN"} > #json
+*/q/like > @users?{name like "d%"} > #json
+*/q/nobio > @users?{bio:null} > #json
+*/q/notadmin > @users?{role!="admin"} > #json
+*/q/grouped > @users?{(role:"admin" | age<18), name!="ann"} > #json
+*/q/id/:id > @users?{id: $.id} > #json
+*/q/age/:age > @users?{age: $.age} > #json
+*/q/not/:age > @users?{age!=$.age, age!=null} > #json
+`;
+
+const people = [
+  { name: 'ann', age: 34, role: 'admin', bio: 'hi' },
+  { name: 'dan', age: 17, role: 'user' },
+  { name: 'cy', age: 21, role: 'mod', bio: null },
+  { name: 'dee', role: 'admin' }
+];
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: filter operators select the same records`, () => withServer(source, { config }, async app => {
+    for (const person of people) await app.post('/users', person);
+    const names = async url => (await app.get(url)).body.map(user => user.name);
+
+    assert.deepStrictEqual(await names('/q/adults'), ['ann', 'cy']);
+    assert.deepStrictEqual(await names('/q/young'), ['dan']);
+    assert.deepStrictEqual(await names('/q/staff'), ['ann', 'cy', 'dee']);
+    assert.deepStrictEqual(await names('/q/ids'), ['ann', 'cy']);
+    assert.deepStrictEqual(await names('/q/an'), ['ann', 'dan']);
+    assert.deepStrictEqual(await names('/q/like'), ['dan', 'dee']);
+    assert.deepStrictEqual(await names('/q/nobio'), ['dan', 'cy', 'dee']);
+    assert.deepStrictEqual(await names('/q/notadmin'), ['dan', 'cy']);
+    assert.deepStrictEqual(await names('/q/grouped'), ['dan', 'dee']);
+
+    // Route params arrive as strings but still match numbers
+    assert.deepStrictEqual(await names('/q/id/2'), ['dan']);
+    assert.deepStrictEqual(await names('/q/age/21'), ['cy']);
+    assert.deepStrictEqual(await names('/q/not/21'), ['ann', 'dan']);
+  }));
+}
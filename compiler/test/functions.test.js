@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileQuietly, diagnose, withServer } = require('./helpers');
+
+test('fns and arrow definitions return their last expression', () => withServer(`
+fn add(a, b) a + b
+double: (n) n * 2
+
+fn validate(user) {
+  user.name ? user.email ? true : "no email" : "no name"
+}
+
+total: (items) {
+  sum: items >+ _
+  sum * 10
+}
+
+*/add > #json(add(2, 3))
+*/double > #json(double(4))
+*/valid + #json(validate($.body))
+*/total > #json(total([1, 2]))
+`, async app => {
+  assert.strictEqual((await app.get('/add')).body, 5);
+  assert.strictEqual((await app.get('/double')).body, 8);
+  assert.strictEqual((await app.post('/valid', { name: 'a', email: 'b' })).body, true);
+  assert.strictEqual((await app.post('/valid', { name: 'a' })).body, 'no email');
+  assert.strictEqual((await app.get('/total')).body, 30);
+}));
+
+test('bare fn names are pipeline stages called with the piped value', () => withServer(`
+fn fetch() [{name: "a", ok: true}, {name: "b", ok: false}]
+fn parse(rows) rows >? _.ok
+fn validate(rows) rows.length ? rows : []
+
+*/data > fetch > parse > validate > #json
+`, async app => {
+  assert.deepStrictEqual((await app.get('/data')).body, [{ name: 'a', ok: true }]);
+}));
+
+test('fns can query the database and be used from blocks', () => withServer(`
+fn named(name) @users?{name: name}
+*/users + @users!$.body > #json
+*/find/:name > {
+  found: named($.name)
+  #json({count: found.length})
+}
+`, async app => {
+  await app.post('/users', { name: 'ann' });
+  assert.deepStrictEqual((await app.get('/find/ann')).body, { count: 1 });
+  assert.deepStrictEqual((await app.get('/find/bob')).body, { count: 0 });
+}));
+
+test('JavaScript functions are called as stages like fns', () => withServer(`
+double: (n) n * 2
+*/double/:n > $.n > Number > double > #json
+*/encode/:s > $.s > encodeURIComponent > #json
+`, async app => {
+  assert.strictEqual((await app.get('/double/21')).body, 42);
+  assert.strictEqual((await app.get('/encode/a%20b')).body, 'a%20b');
+}));
+
+test('other JavaScript functions must be called explicitly', () => {
+  assert.deepStrictEqual(diagnose('*/a > $.url > fetch > #json').errors, ["'fetch' is not a fn; call it explicitly, as fetch(_), or wrap it in a fn"]);
+  assert.deepStrictEqual(diagnose('*/a > $.code > eval > #json').errors, ["'eval' is not a fn; call it explicitly, as eval(_), or wrap it in a fn"]);
+  assert.match(compileQuietly('*/a > $.url > fetch(_) > #json'), /await fetch\(/);
+});
+
+test('a stage named after a fn calls it, while locals keep their value', () => {
+  const code = compileQuietly('*/a > {\n  Number: 5\n  1 > Number > #json\n}');
+  assert.match(code, /typeof Number === 'function' \? await Number\(result\d\) : Number/);
+});
+
+test('responses are not allowed in fns', () => {
+  assert.deepStrictEqual(diagnose('fn f(x) #json(x)').errors, ['Functions return values; responses (#) can only be used in routes']);
+});
@@ -0,0 +1,165 @@
+/**
+ * C-slop Test Helpers
+ * Projects are written to a temporary directory and started the way `cslop start` runs them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { spawnSync } = require('child_process');
+const { after } = require('node:test');
+const { compile, check } = require('../src/compiler');
+const { runFile, runProject } = require('../src/loader');
+const { registerAdapter } = require('../src/adapters');
+const { PgMemAdapter } = require('./pg-mem');
+
+// Compiled entry files end with app.listen(PORT); keep each server so the test can find its port and close it
+const servers = [];
+const listen = express.application.listen;
+express.application.listen = function (...args) {
+  const server = listen.apply(this, args);
+  servers.push(server);
+  return server;
+};
+
+// The runtime reports loaded config, connections and compile warnings, which would bury the test report
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => Object.assign(console, { log, warn }));
+}
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A temporary project directory holding `files` ({'api.slop': '...'}); objects are written as JSON
+function project(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cslop-test-'));
+  dirs.push(dir);
+  write(dir, files);
+  return dir;
+}
+
+function write(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+}
+
+// Write a JS module to import from .slop by its full path; returns the path as a string literal
+function jsModule(code) {
+  return JSON.stringify(path.join(project({ 'module.js': code }), 'module.js'));
+}
+
+// PostgreSQL runs in-process on pg-mem, a dev dependency
+registerAdapter('pg-mem', PgMemAdapter);
+
+// slop.json for each database backend that the behaviour of tables must agree across
+// SQLite files are opened relative to the working directory, so each project names its own
+const backends = {
+  memory: { database: { type: 'memory' } },
+  sqlite: dir => ({ database: { type: 'sqlite', connection: path.join(dir, 'app.db') } }),
+  postgres: { database: { type: 'pg-mem' } }
+};
+
+/**
+ * Start `source` (or a project's files, with api.slop as the entry) on a free port
+ * `config` is slop.json, or a function of the project directory that returns it
+ * Resolves to { dir, get, post, put, del, request, close }; every request resolves to { status, body }
+ */
+async function serve(source, { config = { database: { type: 'memory' } }, files = {}, slopJson = true } = {}) {
+  const dir = project({ ...(typeof source === 'string' ? { 'api.slop': source } : source), ...files });
+  if (typeof config === 'function') config = config(dir);
+  if (slopJson) write(dir, { 'slop.json': config });
+
+  const previousPort = process.env.PORT;
+  process.env.PORT = '0';
+  const count = servers.length;
+  let server;
+  try {
+    await quietly(async () => {
+      await (slopJson ? runProject(dir, config) : runFile(path.join(dir, 'api.slop')));
+      server = servers[count];
+      if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+      // The 'listening' event, and the runtime's message with it, can still be on its way
+      await new Promise(resolve => setImmediate(resolve));
+    });
+  } finally {
+    if (previousPort === undefined) delete process.env.PORT;
+    else process.env.PORT = previousPort;
+  }
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, body, headers = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON: #text and #html bodies stay strings
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  return {
+    dir,
+    request,
+    get: (url, headers) => request('GET', url, undefined, headers),
+    post: (url, body, headers) => request('POST', url, body, headers),
+    put: (url, body, headers) => request('PUT', url, body, headers),
+    del: (url, headers) => request('DELETE', url, undefined, headers),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Start `source`, run `fn` with the server and close it afterwards, whatever happens
+ */
+async function withServer(source, options, fn) {
+  if (typeof options === 'function') [options, fn] = [{}, options];
+  const app = await serve(source, options);
+  try {
+    return await fn(app);
+  } finally {
+    await app.close();
+  }
+}
+
+// Compile without printing warnings; returns the generated JavaScript
+function compileQuietly(source, options = {}) {
+  return compile(source, { filename: 'api.slop', onWarning: () => {}, ...options });
+}
+
+// Messages of a check's errors and warnings
+function diagnose(source, options = {}) {
+  const diagnostics = check(source, { filename: 'api.slop', ...options });
+  return {
+    errors: diagnostics.errors.map(d => d.message),
+    warnings: diagnostics.warnings.map(d => d.message),
+    diagnostics
+  };
+}
+
+// Run `cslop <args>` in dir; resolves to { status, stdout, stderr }
+function cslop(args, dir) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'cli.js'), ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+module.exports = { project, write, jsModule, backends, serve, withServer, quietly, compileQuietly, diagnose, cslop };
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { withServer } = require('./helpers');
+
+const seed = `
+*/seed + @users!$.body > #json
+`;
+
+test('multi-branch matches pick the first arm that fits', () => withServer(`
+*/size/:n > Number($.n) ? >10 : "big" >5 : "med" _ : "small" > #json
+*/role/:r > $.r ?
+  "admin" : #json({all: true})
+  "guest" : #403("guests stay out")
+  _       : #json({})
+`, async app => {
+  assert.strictEqual((await app.get('/size/11')).body, 'big');
+  assert.strictEqual((await app.get('/size/6')).body, 'med');
+  assert.strictEqual((await app.get('/size/1')).body, 'small');
+  assert.deepStrictEqual((await app.get('/role/admin')).body, { all: true });
+  assert.deepStrictEqual(await app.get('/role/guest').then(r => [r.status, r.body]), [403, { error: 'guests stay out' }]);
+  assert.deepStrictEqual((await app.get('/role/x')).body, {});
+}));
+
+test('guard branches can be pipelines or responses', () => withServer(`${seed}
+*/admin/:role > $.role == "admin" ? @users > #json : #403
+`, async app => {
+  await app.post('/seed', { name: 'A' });
+  assert.strictEqual((await app.get('/admin/admin')).body.length, 1);
+  assert.strictEqual((await app.get('/admin/guest')).status, 403);
+}));
+
+test('a guard that responds keeps the stages before it', () => withServer(`${seed}
+*/b/:id > @users[$.id] > _.name == "A" ? #json(_) : #403
+`, async app => {
+  const { body: ann } = await app.post('/seed', { name: 'A' });
+  const { body: bob } = await app.post('/seed', { name: 'B' });
+  const allowed = await app.get(`/b/${ann.id}`);
+  assert.strictEqual(allowed.status, 200);
+  assert.deepStrictEqual(allowed.body, ann);
+  assert.strictEqual((await app.get(`/b/${bob.id}`)).status, 403);
+}));
+
+test('> before a test that ignores _ compares', () => withServer(`
+*/block/:n > {
+  n: Number($.n)
+  n > 1 ? #json({big: true}) : #json({big: false})
+}
+*/piped + $.body.n > _ > 1 ? #json({big: true}) : #json({big: false})
+*/match/:n > {
+  n: Number($.n)
+  n > 1 ? true : "yes" _ : "no"
+}
+`, async app => {
+  assert.deepStrictEqual((await app.get('/block/5')).body, { big: true });
+  assert.deepStrictEqual((await app.get('/block/0')).body, { big: false });
+  assert.deepStrictEqual((await app.post('/piped', { n: 5 })).body, { big: true });
+  assert.deepStrictEqual((await app.post('/piped', { n: 0 })).body, { big: false });
+  assert.strictEqual((await app.get('/match/5')).body, 'yes');
+  assert.strictEqual((await app.get('/match/0')).body, 'no');
+}));
+
+test('> before a test that reads _ still pipes', () => {
+  const [route] = parse('*/a > @users > _.length ? #json(_) : #404').body;
+  assert.deepStrictEqual(route.handler.stages.map(stage => stage.type), ['DbOp', 'Conditional']);
+
+  const [compared] = parse('*/a > {\n  n > 1 ? #json : #404\n}').body;
+  const [statement] = compared.handler.stages[0].body;
+  assert.deepStrictEqual(statement.expression.stages.map(stage => stage.type), ['Conditional']);
+  assert.strictEqual(statement.expression.stages[0].test.operator, '>');
+});
+
+test('_ in a ternary\'s first branch is the piped value', () => withServer(`
+** > $.headers.authorization ? _ : #403
+*/hello > #json({ok: true})
+`, async app => {
+  assert.strictEqual((await app.get('/hello')).status, 403);
+  assert.deepStrictEqual((await app.get('/hello', { authorization: 'x' })).body, { ok: true });
+}));
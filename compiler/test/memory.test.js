@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Database } = require('../src/runtime');
+const { project, quietly, withServer } = require('./helpers');
+
+// A Database on the JSON file store in dir, as a server would open it
+async function open(dir, connection = './data.json') {
+  const db = new Database();
+  await quietly(async () => {
+    db.connect('memory', connection, dir);
+    await db.ready();
+  });
+  return db;
+}
+
+const saved = dir => JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf8'));
+
+test('memory: records survive a restart and ids are never reused', async () => {
+  const dir = project();
+  const db = await open(dir);
+  const notes = db.getTable('notes');
+  await notes.insert({ text: 'a' });
+  await notes.insert({ text: 'b' });
+  await notes.delete(2);
+  assert.deepStrictEqual(saved(dir).data.notes.map(note => note.text), ['a']);
+  await db.close();
+
+  const again = await open(dir);
+  assert.deepStrictEqual((await again.getTable('notes').insert({ text: 'c' })).id, 3);
+  assert.deepStrictEqual((await again.getTable('notes').findAll()).map(note => [note.id, note.text]), [[1, 'a'], [3, 'c']]);
+  await again.close();
+  assert.deepStrictEqual(fs.readdirSync(dir), ['data.json']);
+});
+
+test('memory: a transaction is saved once, when it commits', async () => {
+  const dir = project();
+  const db = await open(dir);
+  const notes = db.getTable('notes');
+  await assert.rejects(db.transaction(async () => {
+    await notes.insert({ text: 'a' });
+    throw new Error('undo');
+  }), /undo/);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'data.json')), false);
+
+  await db.transaction(async () => {
+    await notes.insert({ text: 'b' });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'data.json')), false);
+  });
+  assert.deepStrictEqual(saved(dir).data.notes.map(note => note.text), ['b']);
+  await db.close();
+});
+
+test('memory: save "exit" writes when the process ends', () => {
+  const dir = project();
+  const script = `
+    const { Database } = require(${JSON.stringify(require.resolve('../src/runtime'))});
+    const db = new Database();
+    db.connect('memory', { file: './data.json', save: 'exit' }, ${JSON.stringify(dir)});
+    db.getTable('notes').insert({ text: 'a' }).then(() => {
+      if (require('fs').existsSync(${JSON.stringify(path.join(dir, 'data.json'))})) throw new Error('saved too early');
+      process.exit(0);
+    });
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(saved(dir).data.notes.map(note => note.text), ['a']);
+});
+
+test('memory: a file that is not JSON stops the server and is left alone', async () => {
+  const dir = project({ 'data.json': '{"data": ' });
+  await assert.rejects(open(dir), /Could not read .*data\.json/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'data.json'), 'utf8'), '{"data": ');
+});
+
+test('memory: an unknown save mode is a config error', () => withServer(
+  '*/ > #json({ok: true})',
+  { config: { database: { type: 'memory', connection: { file: './data.json', save: 'never' } } } },
+  async () => assert.fail('the server should not start')
+).then(() => assert.fail('expected an error'), error => {
+  assert.match(error.message, /database\.connection\.save must be "write" or "exit"/);
+}));
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { jsModule, withServer } = require('./helpers');
+
+// auth($) is the token header or null; isAdmin($) checks it
+const auth = jsModule(`
+module.exports.auth = $ => $.headers.authorization || null;
+module.exports.isAdmin = $ => $.headers.authorization === 'admin';
+`);
+
+test('global middleware continues with _ or responds', () => withServer(`
+import {auth} from ${auth}
+
+** > auth($) ? _ : #403
+*/hello > #json({ok: true})
+`, async app => {
+  assert.strictEqual((await app.get('/hello')).status, 403);
+  assert.deepStrictEqual((await app.get('/hello', { authorization: 'x' })).body, { ok: true });
+}));
+
+test('middleware runs for every method, before routes declared above it', () => withServer(`
+import {auth} from ${auth}
+
+*/items + #json({created: true})
+** > {
+  auth($) ?? #401
+  _
+}
+`, async app => {
+  assert.strictEqual((await app.post('/items', {})).status, 401);
+  assert.deepStrictEqual((await app.post('/items', {}, { authorization: 'x' })).body, { created: true });
+}));
+
+test('prefix middleware guards the prefix and everything below it only', () => withServer(`
+import {isAdmin} from ${auth}
+
+*/admin/* > isAdmin($) ? _ : #403
+*/admin > #json({at: "admin"})
+*/admin/users > #json({at: "users"})
+*/administrator > #json({at: "other"})
+`, async app => {
+  assert.strictEqual((await app.get('/admin')).status, 403);
+  assert.strictEqual((await app.get('/admin/users')).status, 403);
+  assert.deepStrictEqual((await app.get('/admin/users', { authorization: 'admin' })).body, { at: 'users' });
+  assert.deepStrictEqual((await app.get('/administrator')).body, { at: 'other' });
+}));
+
+test('middleware can enrich $ for the handlers after it', () => withServer(`
+*/api/* > utils.jwtVerify($.headers.authorization) ?? #401 > {user: _}
+*/api/me > #json($.user)
+`, async app => {
+  const token = Buffer.from(`${JSON.stringify({ name: 'ann' })}.sig`).toString('base64');
+  assert.strictEqual((await app.get('/api/me')).status, 401);
+  assert.deepStrictEqual((await app.get('/api/me', { authorization: token })).body, { name: 'ann' });
+}));
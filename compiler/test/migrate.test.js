@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SQLite = require('better-sqlite3');
+const { createMigrator } = require('../src/migrate');
+const { project, write, quietly, cslop } = require('./helpers');
+
+const config = { database: { type: 'sqlite', connection: './dev.db' }, server: { entry: 'api.slop' } };
+
+function columns(dir, table) {
+  const db = new SQLite(path.join(dir, 'dev.db'), { readonly: true });
+  try {
+    return db.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name);
+  } finally {
+    db.close();
+  }
+}
+
+function rows(dir, sql) {
+  const db = new SQLite(path.join(dir, 'dev.db'), { readonly: true });
+  try {
+    return db.prepare(sql).all();
+  } finally {
+    db.close();
+  }
+}
+
+test('generate, up, status and down follow schema changes', () => {
+  const dir = project({
+    'slop.json': config,
+    'api.slop': 'import "./models.slop"\n*/ > #json',
+    'models.slop': '@users: {\n  id: int.pk.auto\n  name: str.required\n}\n'
+  });
+  const run = (...args) => {
+    const result = cslop(['migrate', ...args], dir);
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+
+  assert.match(run('status'), /No migrations in migrations\/\nSchema changes without a migration: create users/);
+  assert.match(run('generate', 'create_users'), /create users\nWrote migrations\/\d{14}_create_users\.sql/);
+  const [first] = fs.readdirSync(path.join(dir, 'migrations'));
+  const sql = fs.readFileSync(path.join(dir, 'migrations', first), 'utf8');
+  assert.match(sql, /-- up\nCREATE TABLE "users" \(/);
+  assert.match(sql, /-- down\nDROP TABLE "users";/);
+
+  assert.match(run('up'), /Applied 1 migration\(s\)/);
+  assert.deepStrictEqual(columns(dir, 'users'), ['id', 'name']);
+  assert.match(run('status'), /✓.*_create_users\nSchema matches the database/);
+
+  // A new column rebuilds the table and keeps its rows
+  const db = new SQLite(path.join(dir, 'dev.db'));
+  db.prepare('INSERT INTO users (name) VALUES (?)').run('ann');
+  db.close();
+  write(dir, { 'models.slop': '@users: {\n  id: int.pk.auto\n  name: str.required\n  email: str.unique\n}\n' });
+  assert.match(run('generate', 'add_email'), /rebuild users/);
+  run('up');
+  assert.deepStrictEqual(columns(dir, 'users'), ['id', 'name', 'email']);
+  assert.deepStrictEqual(rows(dir, 'SELECT * FROM users'), [{ id: 1, name: 'ann', email: null }]);
+
+  // Rolling back goes newest first
+  assert.match(run('down'), /↺.*_add_email\nRolled back 1 migration/);
+  assert.deepStrictEqual(columns(dir, 'users'), ['id', 'name']);
+  assert.deepStrictEqual(rows(dir, 'SELECT * FROM users'), [{ id: 1, name: 'ann' }]);
+  run('down');
+  assert.deepStrictEqual(columns(dir, 'users'), []);
+  assert.deepStrictEqual(rows(dir, 'SELECT name FROM slop_migrations'), []);
+});
+
+test('generate refuses while migrations are pending, and needs SQLite', () => {
+  const dir = project({
+    'slop.json': config,
+    'api.slop': '@users: {\n  name: str\n}\n*/ > #json'
+  });
+  assert.strictEqual(cslop(['migrate', 'generate'], dir).status, 0);
+  const pending = cslop(['migrate', 'generate'], dir);
+  assert.strictEqual(pending.status, 1);
+  assert.match(pending.stderr, /Apply pending migrations first/);
+
+  const memory = project({ 'slop.json': { database: { type: 'memory' } }, 'api.slop': '*/ > #json' });
+  const refused = cslop(['migrate', 'status'], memory);
+  assert.strictEqual(refused.status, 1);
+  assert.match(refused.stderr, /Migrations need an SQLite database/);
+});
+
+test('tables that held JSON records are rebuilt into their declared columns', () => {
+  const dir = project({ 'slop.json': config, 'api.slop': '*/ > #json' });
+  const db = new SQLite(path.join(dir, 'dev.db'));
+  db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+  db.prepare('INSERT INTO users (data) VALUES (?)').run(JSON.stringify({ name: 'ann', age: 30 }));
+  db.close();
+
+  write(dir, { 'api.slop': '@users: {\n  id: int.pk.auto\n  name: str\n  age: int\n}\n*/ > #json' });
+  assert.strictEqual(cslop(['migrate', 'generate'], dir).status, 0);
+  assert.strictEqual(cslop(['migrate', 'up'], dir).status, 0);
+  assert.deepStrictEqual(rows(dir, 'SELECT * FROM users'), [{ id: 1, name: 'ann', age: 30 }]);
+});
+
+test('a migration written within the same second still sorts after the last one', async () => {
+  const dir = project({ 'slop.json': config, 'api.slop': '@users: {\n  name: str\n}\n*/ > #json' });
+  const generate = label => quietly(() => {
+    const migrator = createMigrator(dir, config);
+    try {
+      const { name } = migrator.generate(label);
+      migrator.up();
+      return name;
+    } finally {
+      migrator.db.close();
+    }
+  });
+
+  const first = await generate('z_first');
+  write(dir, { 'api.slop': '@users: {\n  name: str\n  age: int\n}\n*/ > #json' });
+  const second = await generate('a_second');
+  assert.ok(second > first, `${second} sorts before ${first}`);
+});
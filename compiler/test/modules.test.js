@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { link, importGraph } = require('../src/loader');
+const { project, withServer, diagnose } = require('./helpers');
+
+const files = {
+  'lib/auth.slop': 'fn isAdmin(user) user == "admin"\nfn greet(name) "hi " + name\n',
+  'models.slop': '@users: {\n  id: int.pk.auto\n  name: str\n}\n',
+  'routes/users.slop': 'import {greet} from "../lib/auth.slop"\n\n*/users > @users > #json\n*/users + @users!$.body > #json\n*/greet/:name > #json(greet($.name))\n'
+};
+
+test('imported files add routes, fns and schemas to the same app and database', () => withServer({
+  ...files,
+  'api.slop': `
+import "./models.slop"
+import "./routes/users.slop"
+import {isAdmin} from "./lib/auth.slop"
+import * as auth from "./lib/auth.slop"
+
+*/admin/:who > isAdmin($.who) ? #json({ok: true}) : #403
+*/hello > #json(auth.greet("you"))
+*/count > @users > #json(_.length)
+`
+}, async app => {
+  assert.deepStrictEqual((await app.get('/admin/admin')).body, { ok: true });
+  assert.strictEqual((await app.get('/admin/bob')).status, 403);
+  assert.strictEqual((await app.get('/hello')).body, 'hi you');
+  assert.strictEqual((await app.get('/greet/ann')).body, 'hi ann');
+
+  // The declared schema applies: unknown columns are rejected
+  assert.strictEqual((await app.post('/users', { name: 'ann', age: 3 })).status, 400);
+  assert.deepStrictEqual((await app.post('/users', { name: 'ann' })).body, { id: 1, name: 'ann' });
+  assert.strictEqual((await app.get('/count')).body, 1);
+}));
+
+test('importing a name the file does not define is a compile error', () => {
+  const dir = project(files);
+  const { errors } = diagnose('import {isAdmn} from "./lib/auth.slop"', { basePath: dir });
+  assert.deepStrictEqual(errors, ["'isAdmn' is not defined in './lib/auth.slop', did you mean 'isAdmin'?"]);
+});
+
+test('circular imports are reported with the chain', () => {
+  const dir = project({
+    'api.slop': 'import "./a.slop"\n*/ > #json',
+    'a.slop': 'import "./b.slop"\n',
+    'b.slop': 'import "./a.slop"\n'
+  });
+  assert.throws(() => link([path.join(dir, 'api.slop')]), /Circular import: a\.slop -> b\.slop -> a\.slop/);
+});
+
+test('the import graph lists every file watch mode restarts for', () => {
+  const dir = project({ ...files, 'api.slop': 'import "./routes/users.slop"\n*/ > #json' });
+  assert.deepStrictEqual(
+    importGraph(path.join(dir, 'api.slop')).map(file => path.relative(dir, file)),
+    ['api.slop', path.join('routes', 'users.slop'), path.join('lib', 'auth.slop')]
+  );
+});
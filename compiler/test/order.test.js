@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { orderSQL } = require('../src/query');
+const { backends, compileQuietly, diagnose, withServer } = require('./helpers');
+
+test('^ and ^- compile to an order list', () => {
+  assert.match(compileQuietly('*/a > @posts^-created_at^title > #json'), /db\.getTable\('posts'\)\.findAll\(\{order: \["-created_at", "title"\]\}\)/);
+  assert.match(compileQuietly('*/a > @users^-age[name]:2 > #json'), /findAll\(\{fields: \["name"\], order: \["-age"\], limit: 2\}\)/);
+});
+
+test('an order needs a field right after ^', () => {
+  assert.match(diagnose('*/a > @users^ name > #json').errors[0], /Expected a field name right after '\^'/);
+});
+
+test('SQL orders by each key, then by insertion order', () => {
+  assert.deepStrictEqual(orderSQL(null, { order: ['-age', 'name'] }), {
+    sql: ' ORDER BY json_extract("data", ?) DESC, json_extract("data", ?) ASC, rowid',
+    params: ['$."age"', '$."name"']
+  });
+});
+
+const source = `
+*/users + @users!$.body > #json
+*/by/name > @users^name[name] > #json
+*/by/age > @users^-age^name[name] > #json
+*/top > @users?{age!=null}^-age[name]:2 > #json
+`;
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: reads sort the same way`, () => withServer(source, { config }, async app => {
+    for (const [name, age] of [['bob', 30], ['Ann', 25], ['dan%', 30], ['Cy_d', null]]) {
+      await app.post('/users', { name, age });
+    }
+    const names = async url => (await app.get(url)).body.map(user => user.name);
+
+    assert.deepStrictEqual(await names('/by/name'), ['Ann', 'Cy_d', 'bob', 'dan%']);
+    // Ties keep the next key, nulls sort first ascending and so last descending
+    assert.deepStrictEqual(await names('/by/age'), ['bob', 'dan%', 'Ann', 'Cy_d']);
+    assert.deepStrictEqual(await names('/top'), ['bob', 'dan%']);
+  }));
+}
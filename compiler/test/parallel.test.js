@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileQuietly, jsModule, withServer } = require('./helpers');
+
+// wait(ms, value) resolves to value after ms; started() lists the values whose wait began
+const timing = jsModule(`
+const started = [];
+module.exports.wait = (ms, value) => {
+  started.push(value);
+  return new Promise(resolve => setTimeout(() => resolve(value), ms));
+};
+module.exports.started = () => started.splice(0);
+`);
+
+test('& compiles to one Promise.all', () => {
+  const code = compileQuietly('*/d > @users & @posts > #json');
+  assert.match(code, /await Promise\.all\(\[db\.getTable\('users'\)\.findAll\(\), db\.getTable\('posts'\)\.findAll\(\)\]\)\.then\(\(\[users, posts\]\) => \(\{ users, posts \}\)\)/);
+});
+
+test('reads from different tables become an object keyed by table', () => withServer(`
+*/users + @users!$.body > #json
+*/posts + @posts!$.body > #json
+*/dashboard > @users & @posts > #json
+`, async app => {
+  await app.post('/users', { name: 'ann' });
+  await app.post('/posts', { title: 'hi' });
+  const { body } = await app.get('/dashboard');
+  assert.deepStrictEqual(Object.keys(body), ['users', 'posts']);
+  assert.strictEqual(body.users[0].name, 'ann');
+  assert.strictEqual(body.posts[0].title, 'hi');
+}));
+
+test('other branches become a tuple, and run at the same time', () => withServer(`
+import {wait, started} from ${timing}
+
+*/both > wait(250, "a") & wait(250, "b") & @users > #json
+*/started > #json(started())
+`, async app => {
+  const begin = Date.now();
+  assert.deepStrictEqual((await app.get('/both')).body, ['a', 'b', []]);
+  assert.ok(Date.now() - begin < 450, 'branches ran one after another');
+  assert.deepStrictEqual((await app.get('/started')).body, ['a', 'b']);
+}));
@@ -0,0 +1,83 @@
+/**
+ * C-slop pg-mem Adapter
+ * The PostgreSQL adapter on pg-mem, an in-process stand-in, so tests and CI run the PostgreSQL code without a server
+ */
+
+const { PostgresAdapter, DIALECT } = require('../src/adapters/postgres');
+
+// pg-mem parses neither ESCAPE nor COLLATE; its LIKE takes \ literally and it already compares text by code point.
+// Its CHECK constraints also fail on NULL
+const PG_MEM_DIALECT = {
+  ...DIALECT,
+  nullFailsCheck: true,
+  like: (sql, escaped) => (escaped ? `ilike_escaped(${sql}, ?)` : `${sql} ILIKE ?`),
+  collate: ''
+};
+
+class PgMemAdapter extends PostgresAdapter {
+  constructor(connection, database) {
+    super(connection, database);
+    this.dialect = PG_MEM_DIALECT;
+  }
+
+  // Each adapter gets an empty database of its own; the connection setting is ignored
+  createClient() {
+    const { newDb, DataType } = require('pg-mem');
+    this.mem = newDb();
+    this.restorePoint = null;
+
+    // pg-mem implements few functions; these are the ones the PostgreSQL adapter needs
+    this.mem.public.registerFunction({
+      name: 'nullif',
+      args: [DataType.jsonb, DataType.jsonb],
+      returns: DataType.jsonb,
+      implementation: (value, other) => (JSON.stringify(value) === JSON.stringify(other) ? null : value)
+    });
+    this.mem.public.registerFunction({
+      name: 'jsonb_typeof',
+      args: [DataType.jsonb],
+      returns: DataType.text,
+      implementation: value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value)
+    });
+    this.mem.public.registerFunction({
+      name: 'ilike_escaped',
+      args: [DataType.text, DataType.text],
+      returns: DataType.bool,
+      implementation: ilikeEscaped
+    });
+
+    const { Client } = this.mem.adapters.createPg();
+    return new Client();
+  }
+
+  // pg-mem doesn't keep a transaction open from one query to the next, so a restore point stands in for it
+  begin() {
+    this.restorePoint = this.mem.backup();
+  }
+
+  commit() {
+    this.restorePoint = null;
+  }
+
+  rollback() {
+    if (this.restorePoint) this.restorePoint.restore();
+    this.restorePoint = null;
+  }
+}
+
+// value ILIKE pattern ESCAPE '\'
+function ilikeEscaped(value, pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    let char = pattern[i];
+    if (char === '%') source += '[\\s\\S]*';
+    else if (char === '_') source += '[\\s\\S]';
+    else {
+      if (char === '\\' && i + 1 < pattern.length) char = pattern[++i];
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+module.exports = { PgMemAdapter };
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { whereSQL, orderSQL } = require('../src/query');
+const { normalizeSchema } = require('../src/schema');
+const { Database } = require('../src/runtime');
+const { registerAdapter } = require('../src/adapters');
+const { PostgresAdapter, DIALECT } = require('../src/adapters/postgres');
+const { backends, quietly, withServer } = require('./helpers');
+
+const people = normalizeSchema('people', {
+  id: { type: 'int', pk: true, auto: true },
+  name: { type: 'str' },
+  age: { type: 'int' }
+});
+
+test('postgres: ~ escapes % and _ with an explicit ESCAPE', () => {
+  assert.deepStrictEqual(whereSQL(null, [['name', 'contains', 'a_%']], DIALECT), {
+    sql: ` WHERE ("data" ->> ?) ILIKE ? ESCAPE '\\'`,
+    params: ['name', '%a\\_\\%%']
+  });
+  // like patterns are used as written, where \ is no escape character either
+  assert.strictEqual(whereSQL(people, [['name', 'like', 'a\\%']], DIALECT).sql, ` WHERE CAST("name" AS TEXT) ILIKE ? ESCAPE ''`);
+});
+
+test('postgres: text sorts by code point whatever the locale', () => {
+  assert.strictEqual(orderSQL(people, { order: ['name', '-age'] }, DIALECT).sql,
+    ' ORDER BY "name" COLLATE "C" ASC NULLS FIRST, "age" DESC NULLS LAST, "id"');
+
+  const { sql, params } = orderSQL(null, { order: ['name'] }, DIALECT);
+  assert.match(sql, /^ ORDER BY CASE WHEN jsonb_typeof\(NULLIF\("data" -> \?, 'null'\)\) IS NULL THEN 0 .* \("data" ->> \?\) COLLATE "C" ASC NULLS FIRST, "id"$/);
+  assert.strictEqual(params.length, (sql.match(/\?/g) || []).length);
+  assert.ok(params.every(param => param === 'name'));
+});
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: ~ matches % and _ as themselves`, () => withServer(`
+*/users + @users!$.body > #json
+*/find > @users?{name ~ $.query.q}^name > #json
+`, { config }, async app => {
+    for (const name of ['bob', 'Ann', 'dan%', 'Cy_d']) await app.post('/users', { name });
+    const names = async q => (await app.get(`/find?q=${encodeURIComponent(q)}`)).body.map(user => user.name);
+
+    assert.deepStrictEqual(await names('_'), ['Cy_d']);
+    assert.deepStrictEqual(await names('%'), ['dan%']);
+    assert.deepStrictEqual(await names('N'), ['Ann', 'dan%']);
+  }));
+}
+
+test('postgres: the first queries to a declared table arrive together', () => withServer(`
+@notes: {
+  id: int.pk.auto
+  text: str
+}
+*/notes + @notes!$.body > #json
+*/notes > @notes^id > #json
+`, { config: backends.postgres }, async app => {
+  const created = await Promise.all(['a', 'b', 'c'].map(text => app.post('/notes', { text })));
+  assert.deepStrictEqual(created.map(response => response.status), [200, 200, 200]);
+  assert.deepStrictEqual((await app.get('/notes')).body.map(note => note.id), [1, 2, 3]);
+}));
+
+test('postgres: @raw takes $1 placeholders', () => withServer(`
+*/users + @users!$.body > #json
+*/raw/:name > @raw("SELECT data ->> 'name' AS name FROM users WHERE data ->> 'name' = $1", [$.name]) > #json
+`, { config: backends.postgres }, async app => {
+  await app.post('/users', { name: 'ann' });
+  assert.deepStrictEqual((await app.get('/raw/ann')).body, [{ name: 'ann' }]);
+  assert.deepStrictEqual((await app.get('/raw/bob')).body, []);
+}));
+
+// pg-mem ignores ROLLBACK, so the statements @tx{} sends to a real server are checked on a client that records them
+test('postgres: @tx{} sends BEGIN, then COMMIT or ROLLBACK, once the queries already running are done', async () => {
+  const log = [];
+  registerAdapter('recorded-postgres', class extends PostgresAdapter {
+    createClient() {
+      return {
+        connect: async () => {},
+        end: async () => {},
+        async query(sql, params) {
+          if (sql.includes('information_schema')) return { rows: [{ column_name: 'data' }] };
+          const name = sql.startsWith('INSERT') ? JSON.parse(params[0]).text : sql;
+          log.push(name);
+          for (let i = 0; i < 3; i++) await new Promise(resolve => setImmediate(resolve));
+          if (sql.startsWith('INSERT')) log.push(`${name} done`);
+          return { rows: [{ id: 1 }] };
+        }
+      };
+    }
+  });
+
+  const db = new Database();
+  await quietly(async () => {
+    db.connect('recorded-postgres');
+    await db.ready('notes');
+  });
+  const notes = db.getTable('notes');
+
+  const outside = notes.insert({ text: 'a' });
+  await new Promise(resolve => setImmediate(resolve));
+  const committed = db.transaction(() => notes.insert({ text: 'b' }));
+  const undone = db.transaction(async () => {
+    await notes.insert({ text: 'c' });
+    throw new Error('undo');
+  });
+
+  await outside;
+  await committed;
+  await assert.rejects(undone, /undo/);
+  assert.deepStrictEqual(log, ['a', 'a done', 'BEGIN', 'b', 'b done', 'COMMIT', 'BEGIN', 'c', 'c done', 'ROLLBACK']);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { serverFiles } = require('../src/loader');
+const { project, withServer } = require('./helpers');
+
+const relative = (dir, { entry, routes }) => ({
+  entry: entry && path.relative(dir, entry),
+  routes: routes.map(route => ({ file: path.relative(dir, route.file), prefix: route.prefix }))
+});
+
+test('without server.entry, api.slop wins over router.slop and other files', () => {
+  const dir = project({ 'a.slop': '', 'api.slop': '', 'router.slop': '', 'main.slop': '' });
+  assert.strictEqual(relative(dir, serverFiles(dir)).entry, 'api.slop');
+
+  const other = project({ 'router.slop': '', 'zoo.slop': '' });
+  assert.strictEqual(relative(other, serverFiles(other)).entry, 'zoo.slop');
+});
+
+test('server.entry and server.routes pick the files and their prefixes', () => {
+  const dir = project({
+    'server.slop': '',
+    'api.slop': '',
+    'routes/admin.slop': '',
+    'routes/users.slop': '',
+    'routes/deep/posts.slop': ''
+  });
+  const config = {
+    server: {
+      entry: 'server.slop',
+      routes: [{ file: 'routes/admin.slop', prefix: '/admin' }, 'routes/*.slop', 'routes/**/posts.slop']
+    }
+  };
+  assert.deepStrictEqual(relative(dir, serverFiles(dir, config)), {
+    entry: 'server.slop',
+    routes: [
+      { file: path.join('routes', 'admin.slop'), prefix: '/admin' },
+      { file: path.join('routes', 'users.slop'), prefix: null },
+      { file: path.join('routes', 'deep', 'posts.slop'), prefix: null }
+    ]
+  });
+});
+
+test('missing entry and route files are errors', () => {
+  const dir = project({ 'api.slop': '' });
+  assert.throws(() => serverFiles(dir, { server: { entry: 'nope.slop' } }), /server\.entry: nope\.slop not found/);
+  assert.throws(() => serverFiles(dir, { server: { routes: ['routes/x.slop'] } }), /server\.routes: routes\/x\.slop not found/);
+  assert.deepStrictEqual(serverFiles(dir, { server: { routes: ['routes/*.slop'] } }).routes, []);
+});
+
+test('route files mount under their prefix, middleware included', () => withServer({
+  'api.slop': '*/ > #json({at: "entry"})',
+  'routes/admin.slop': '** > $.headers.authorization == "admin" ? _ : #403\n*/stats > #json({at: "stats"})',
+  'routes/users.slop': '*/users > #json({at: "users"})'
+}, {
+  config: {
+    database: { type: 'memory' },
+    server: { entry: 'api.slop', routes: [{ file: 'routes/admin.slop', prefix: '/admin' }, 'routes/*.slop'] }
+  }
+}, async app => {
+  assert.deepStrictEqual((await app.get('/')).body, { at: 'entry' });
+  assert.strictEqual((await app.get('/admin/stats')).status, 403);
+  assert.deepStrictEqual((await app.get('/admin/stats', { authorization: 'admin' })).body, { at: 'stats' });
+  // The admin middleware stays under /admin
+  assert.deepStrictEqual((await app.get('/users')).body, { at: 'users' });
+  assert.strictEqual((await app.get('/stats')).status, 404);
+}));
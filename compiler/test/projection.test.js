@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { backends, withServer } = require('./helpers');
+
+// The DbOp a route's first stage reads
+const read = source => parse(`*/a > ${source} > #json`).body[0].handler.stages[0];
+
+test('field lists, ids and limit/offset parse apart', () => {
+  assert.deepStrictEqual(read('@users[name, email]').fields, ['name', 'email']);
+  assert.strictEqual(read('@users[id]').id.name, 'id');
+  assert.deepStrictEqual(read('@users[name,]').fields, ['name']);
+
+  const filtered = read('@users?{role:"admin"}[name,email]:10:0');
+  assert.deepStrictEqual(filtered.fields, ['name', 'email']);
+  assert.deepStrictEqual([filtered.limit.raw, filtered.offset.raw], ['10', '0']);
+});
+
+test('one bare name after a filter is a field list', () => {
+  for (const source of ['@users?{bio:null}[name]', '@users?{age>21}[name]:10', '@users?{bio:null}[name]:10:0']) {
+    assert.deepStrictEqual(read(source).fields, ['name'], source);
+  }
+});
+
+test('field lists and paging only apply to reads', () => {
+  assert.throws(() => parse('*/a + @users[name, email]!$.body > #json'), /only apply to reads/);
+});
+
+const source = `
+*/users + @users!$.body > #json
+*/names > @users[name, email] > #json
+*/admins > @users?{role:"admin"}[name]:1:1 > #json
+*/one/:id > @users[$.id][email] > #json
+*/page > @users:2:$.query.offset > #page
+*/total > @users?{role:"admin"}:1 > #json({n: _.length, total: _.total})
+`;
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: projections, paging and totals`, () => withServer(source, { config }, async app => {
+    for (const name of ['ann', 'bob', 'cy']) {
+      await app.post('/users', { name, email: `${name}@x`, role: name === 'bob' ? 'user' : 'admin' });
+    }
+
+    assert.deepStrictEqual((await app.get('/names')).body[0], { name: 'ann', email: 'ann@x' });
+    assert.deepStrictEqual((await app.get('/admins')).body, [{ name: 'cy' }]);
+    assert.deepStrictEqual((await app.get('/one/2')).body, { email: 'bob@x' });
+
+    const { items, total } = (await app.get('/page?offset=2')).body;
+    assert.deepStrictEqual(items.map(user => user.name), ['cy']);
+    assert.strictEqual(total, 3);
+    assert.deepStrictEqual((await app.get('/total')).body, { n: 1, total: 2 });
+  }));
+}
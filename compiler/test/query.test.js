@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Database } = require('../src/runtime');
+const { whereSQL, pageSQL } = require('../src/query');
+const { normalizeSchema } = require('../src/schema');
+const { backends, project, quietly, withServer } = require('./helpers');
+
+const users = normalizeSchema('users', { id: { type: 'int', pk: true, auto: true }, name: { type: 'str' }, role: { type: 'str' } });
+
+test('filters on undeclared tables read the JSON data column with parameters', () => {
+  assert.deepStrictEqual(whereSQL(null, { role: 'admin', name: "' OR 1=1 --" }), {
+    sql: ' WHERE (json_extract("data", ?) = ? AND json_extract("data", ?) = ?)',
+    params: ['$."role"', 'admin', '$."name"', "' OR 1=1 --"]
+  });
+  assert.deepStrictEqual(whereSQL(null, {}), { sql: '', params: [] });
+});
+
+test('filters on declared tables use their columns', () => {
+  assert.deepStrictEqual(whereSQL(users, { role: 'admin' }), { sql: ' WHERE "role" = ?', params: ['admin'] });
+  assert.throws(() => whereSQL(users, { nick: 'a' }), /users has no column 'nick'/);
+});
+
+test('limit and offset are parameters too', () => {
+  assert.deepStrictEqual(pageSQL({ limit: 10, offset: 5 }), { sql: ' LIMIT ? OFFSET ?', params: [10, 5] });
+  assert.deepStrictEqual(pageSQL({}), { sql: '', params: [] });
+});
+
+test('sqlite: a filtered read selects only the matching rows', async () => {
+  const db = new Database();
+  await quietly(async () => {
+    db.connect('sqlite', path.join(project(), 'app.db'));
+    await db.ready();
+  });
+  const table = db.getTable('users');
+  for (const name of ['ann', 'bob', 'cy']) await table.insert({ name, role: name === 'bob' ? 'user' : 'admin' });
+
+  const statements = [];
+  const prepare = db.adapter.db.prepare.bind(db.adapter.db);
+  db.adapter.db.prepare = sql => {
+    statements.push(sql);
+    return prepare(sql);
+  };
+
+  const admins = await table.findWhere({ role: 'admin' }, { limit: 1, offset: 1 });
+  assert.deepStrictEqual(admins.map(user => user.name), ['cy']);
+  assert.strictEqual(admins.total, 2);
+  assert.match(statements[0], /WHERE json_extract\("data", \?\) = \?.* LIMIT \? OFFSET \?$/);
+  assert.deepStrictEqual((await table.findAll({ limit: 2 })).map(user => user.name), ['ann', 'bob']);
+  await db.close();
+});
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: filters and paging answer the same`, () => withServer(`
+*/users + @users!$.body > #json
+*/admins > @users?{role:"admin"} > #json
+*/nobody > @users?{role:"root"} > #json
+*/page > @users:2:1 > #json
+*/role/:role > @users?{role:$.role}:1 > #json
+`, { config }, async app => {
+    for (const name of ['ann', 'bob', 'cy']) await app.post('/users', { name, role: name === 'bob' ? 'user' : 'admin' });
+
+    assert.deepStrictEqual((await app.get('/admins')).body.map(user => user.name), ['ann', 'cy']);
+    assert.deepStrictEqual((await app.get('/nobody')).body, []);
+    assert.deepStrictEqual((await app.get('/page')).body.map(user => user.name), ['bob', 'cy']);
+    assert.deepStrictEqual((await app.get('/role/user')).body.map(user => user.name), ['bob']);
+  }));
+}
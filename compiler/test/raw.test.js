@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { backends, compileQuietly, diagnose, withServer } = require('./helpers');
+
+test('@raw compiles to a parameterized db.raw call', () => {
+  assert.match(compileQuietly('*/a > @raw("SELECT * FROM users WHERE id = ?", [$.id]) > #json'),
+    /await db\.raw\("SELECT \* FROM users WHERE id = \?", \[\$\.id\]\);/);
+  assert.match(diagnose('*/a > @raw > #json').errors[0], /@raw takes a query/);
+  assert.match(diagnose('*/a > @raw("a", [], 1) > #json').errors[0], /@raw takes the SQL and an optional list of parameters/);
+});
+
+const source = `
+*/users + @users!$.body > #json
+*/raw/setup + @raw("CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT)") > #json
+*/raw/write + @raw("INSERT INTO notes (text) VALUES (?)", [$.body.text]) > #json
+*/raw/notes > @raw("SELECT text FROM notes WHERE text <> ? ORDER BY id", ["skip"]) > #json
+*/raw/names > @raw("SELECT json_extract(data, '$.name') AS name FROM users") > #json
+`;
+
+test('sqlite: @raw returns rows for reads and change info for writes', () => withServer(source, { config: backends.sqlite }, async app => {
+  await app.post('/users', { name: 'ann' });
+  assert.strictEqual((await app.post('/raw/setup')).body.changes, 0);
+
+  assert.deepStrictEqual((await app.post('/raw/write', { text: "a'); DROP TABLE notes; --" })).body, { changes: 1, lastId: 1 });
+  await app.post('/raw/write', { text: 'skip' });
+  assert.deepStrictEqual((await app.get('/raw/notes')).body, [{ text: "a'); DROP TABLE notes; --" }]);
+  assert.deepStrictEqual((await app.get('/raw/names')).body, [{ name: 'ann' }]);
+}));
+
+test('memory: @raw explains that it needs an SQL database', () => withServer(
+  '*/raw > @raw("SELECT 1") > #json',
+  async app => {
+    const { status, body } = await app.get('/raw');
+    assert.strictEqual(status, 500);
+    assert.match(body.error, /@raw needs an SQL database/);
+  }
+));
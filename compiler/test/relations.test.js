@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Database } = require('../src/runtime');
+const { backends, compileQuietly, diagnose, withServer } = require('./helpers');
+
+const models = `
+@users: {
+  id: int.pk.auto
+  name: str
+}
+
+@posts: {
+  id: int.pk.auto
+  userId: int.fk(@users)
+  title: str
+}
+`;
+
+test('.name joins declared tables and reads properties otherwise', () => {
+  const code = compileQuietly(`${models}
+*/a > @users.posts > #json
+*/b > @users.length > #json
+*/c > @users[1].name > #json
+*/d > @users.posts.length > #json
+`);
+  assert.match(code, /await db\.getTable\('users'\)\.findAll\(\{with: \["posts"\]\}\);/);
+  assert.match(code, /await \(await db\.getTable\('users'\)\.findAll\(\)\)\.length;/);
+  assert.match(code, /await \(await db\.getTable\('users'\)\.findById\(1\)\)\.name;/);
+  assert.match(code, /await \(await db\.getTable\('users'\)\.findAll\(\{with: \["posts"\]\}\)\)\.length;/);
+});
+
+test('tables declared in other project files join too', () => {
+  assert.match(compileQuietly('*/a > @users.posts > #json', { tables: ['posts'] }), /findAll\(\{with: \["posts"\]\}\)/);
+});
+
+test('a property read takes no filter, fields, order or paging', () => {
+  assert.match(diagnose('*/a > @users.posts?{a:1} > #json').errors[0],
+    /'posts' is not a declared table, so @users\.posts reads a property; declare @posts: \{\.\.\.\} to join it/);
+});
+
+const routes = `${models}
+*/users + @users!$.body > #json
+*/posts + @posts!$.body > #json
+*/users/posts > @users.posts > #json
+*/users/:id/posts > @users[$.id].posts > #json
+*/posts/users > @posts.users > #json
+*/flat > @posts.users[posts.title, users.name] > #json
+*/count > @users.length > #json({n: _})
+*/name/:id > @users[$.id].name > #json({name: _})
+`;
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: relations embed, flatten and leave properties alone`, () => withServer(routes, { config }, async app => {
+    await app.post('/users', { name: 'ann' });
+    await app.post('/users', { name: 'bob' });
+    await app.post('/posts', { userId: 1, title: 'a' });
+    await app.post('/posts', { userId: 1, title: 'b' });
+
+    const users = (await app.get('/users/posts')).body;
+    assert.deepStrictEqual(users.map(user => [user.name, user.posts.map(post => post.title)]), [['ann', ['a', 'b']], ['bob', []]]);
+    assert.deepStrictEqual((await app.get('/users/1/posts')).body.posts.length, 2);
+    assert.deepStrictEqual((await app.get('/posts/users')).body.map(post => post.users.name), ['ann', 'ann']);
+    assert.deepStrictEqual((await app.get('/flat')).body, [
+      { 'posts.title': 'a', 'users.name': 'ann' },
+      { 'posts.title': 'b', 'users.name': 'ann' }
+    ]);
+    assert.deepStrictEqual((await app.get('/count')).body, { n: 2 });
+    assert.deepStrictEqual((await app.get('/name/2')).body, { name: 'bob' });
+  }));
+}
+
+test('route files join tables the entry file declares', () => withServer({
+  'api.slop': `${models}\n*/users + @users!$.body > #json\n*/posts + @posts!$.body > #json`,
+  'routes/feed.slop': '*/feed > @users.posts > #json'
+}, { config: { database: { type: 'memory' }, server: { entry: 'api.slop', routes: ['routes/*.slop'] } } }, async app => {
+  await app.post('/users', { name: 'ann' });
+  await app.post('/posts', { userId: 1, title: 'a' });
+  assert.deepStrictEqual((await app.get('/feed')).body[0].posts.map(post => post.title), ['a']);
+}));
+
+test('a <table>Id column links declared tables without fk', async () => {
+  const db = new Database();
+  db.define('users', { id: { type: 'int', pk: true, auto: true }, name: { type: 'str' } });
+  db.define('posts', { id: { type: 'int', pk: true, auto: true }, userId: { type: 'int' } });
+  await db.getTable('users').insert({ name: 'ann' });
+  await db.getTable('posts').insert({ userId: 1 });
+  assert.deepStrictEqual(await db.relation('users', 'posts'), { type: 'many', column: 'userId' });
+});
+
+test('embedding a list reads each related table once', async () => {
+  const db = new Database();
+  const users = db.getTable('users');
+  for (const name of ['ann', 'bob', 'cy']) await users.insert({ name });
+  for (const userId of [1, 2, 3]) await db.getTable('posts').insert({ userId });
+
+  let reads = 0;
+  db.getTable = name => {
+    const table = Database.prototype.getTable.call(db, name);
+    if (name !== 'posts') return table;
+    return { ...table, findWhere: (...args) => { reads++; return table.findWhere(...args); } };
+  };
+
+  const rows = await users.findAll({ with: ['posts'] });
+  assert.deepStrictEqual(rows.map(row => row.posts.length), [1, 1, 1]);
+  assert.strictEqual(reads, 1);
+});
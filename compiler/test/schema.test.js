@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Sqlite = require('better-sqlite3');
+const { parse } = require('../src/parser');
+const { backends, diagnose, withServer } = require('./helpers');
+
+const models = `
+@users: {
+  id: int.pk.auto
+  name: str.required
+  email: str.unique
+  active: bool.default(true)
+  role: enum("user", "admin").default("user")
+  createdAt: time.default(now)
+  updatedAt: time.onUpdate(now)
+}
+
+@posts: {
+  id: int.pk.auto
+  userId: int.fk(@users)
+  title: str(10)
+}
+
+*/users + @users!$.body > #json
+*/users/:id > @users[$.id] > #json
+*/users/:id ~ @users[$.id]!$.body > #json
+*/users/:id - @users[$.id]!- > #json
+*/posts + @posts!$.body > #json
+`;
+
+test('schemas parse into typed columns with modifiers', () => {
+  const [schema] = parse('@posts: { id: int.pk.auto, userId: int.fk(@users), title: str(10) }').body;
+  assert.strictEqual(schema.type, 'Schema');
+  assert.deepStrictEqual(schema.columns.map(column => [column.name, column.type, column.modifiers.map(m => m.name)]), [
+    ['id', 'int', ['pk', 'auto']],
+    ['userId', 'int', ['fk']],
+    ['title', 'str', []]
+  ]);
+});
+
+test('unknown types and modifiers are compile errors', () => {
+  const { errors } = diagnose('@users: {\n  id: integer\n  name: str.uniq\n}');
+  assert.strictEqual(errors.length, 2);
+  assert.match(errors[0], /Unknown column type 'integer'/);
+  assert.match(errors[1], /Unknown column modifier '\.uniq'/);
+});
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: inserts fill defaults and read back every column`, () => withServer(models, { config }, async app => {
+    const before = Date.now();
+    const { status, body } = await app.post('/users', { name: 'ann', email: 'a@x' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual({ ...body, createdAt: null }, {
+      id: 1, name: 'ann', email: 'a@x', active: true, role: 'user', createdAt: null, updatedAt: null
+    });
+    assert.ok(body.createdAt >= before);
+    assert.deepStrictEqual((await app.get('/users/1')).body, body);
+
+    const updated = (await app.put('/users/1', { active: 'false' })).body;
+    assert.strictEqual(updated.active, false);
+    assert.ok(updated.updatedAt >= before);
+  }));
+
+  test(`${backend}: tables may share a name with a Database member`, () => withServer(`
+@transaction: {
+  id: int.pk.auto
+  amount: int
+}
+
+*/transaction + @transaction!$.body > #json
+*/transaction > @transaction > #json
+*/schemas + @schemas!$.body > #json
+*/schemas > @schemas?{kind: "note"} > #json
+*/ready + @ready!$.body > @ready.length > #json
+`, { config }, async app => {
+    await app.post('/transaction', { amount: 5 });
+    assert.deepStrictEqual((await app.get('/transaction')).body, [{ id: 1, amount: 5 }]);
+    await app.post('/schemas', { kind: 'note' });
+    assert.deepStrictEqual((await app.get('/schemas')).body.map(row => row.kind), ['note']);
+    assert.strictEqual((await app.post('/ready', { ok: true })).body, 1);
+  }));
+
+  test(`${backend}: writes that break the schema are rejected`, () => withServer(models, { config }, async app => {
+    const check = async (body, status, error) => {
+      const response = await app.post('/users', body);
+      assert.strictEqual(response.status, status, JSON.stringify(response.body));
+      assert.match(response.body.error, error);
+    };
+    await check({ email: 'x' }, 400, /users\.name is required/);
+    await check({ name: 'a', nick: 'x' }, 400, /users has no column 'nick'/);
+    await check({ name: 'a', role: 'root' }, 400, /users\.role must be one of/);
+    await check({ name: 'a', active: 'yes' }, 400, /users\.active/);
+
+    await app.post('/users', { name: 'ann', email: 'a@x' });
+    await check({ name: 'bob', email: 'a@x' }, 409, /users\.email must be unique/);
+
+    // Numeric strings are accepted for number columns, and foreign keys must point somewhere
+    assert.strictEqual((await app.post('/posts', { userId: '1', title: 'hello' })).body.userId, 1);
+    const dangling = await app.post('/posts', { userId: 9, title: 'x' });
+    assert.deepStrictEqual([dangling.status, dangling.body.error], [409, 'posts.userId: users 9 does not exist']);
+    assert.strictEqual((await app.post('/posts', { userId: 1, title: 'far too long title' })).status, 400);
+
+    const referenced = await app.del('/users/1');
+    assert.deepStrictEqual([referenced.status, referenced.body.error], [409, 'users 1 is still referenced by posts.userId']);
+  }));
+}
+
+test('sqlite: declared tables get real typed columns', () => withServer(models, { config: backends.sqlite }, async app => {
+  await app.post('/users', { name: 'ann' });
+  const file = new Sqlite(path.join(app.dir, 'app.db'), { readonly: true });
+  const columns = file.prepare('SELECT name, type, "notnull" AS required FROM pragma_table_info(?)').all('users');
+  file.close();
+  assert.deepStrictEqual(columns.map(column => [column.name, column.type, column.required]), [
+    ['id', 'INTEGER', 0],
+    ['name', 'TEXT', 1],
+    ['email', 'TEXT', 0],
+    ['active', 'INTEGER', 0],
+    ['role', 'TEXT', 0],
+    ['createdAt', 'INTEGER', 0],
+    ['updatedAt', 'INTEGER', 0]
+  ]);
+}));
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Compiler } = require('../src/compiler');
+const { SourceMapConsumer, encodeVLQ, decodeVLQ } = require('../src/sourcemap');
+const { withServer, project, cslop } = require('./helpers');
+
+test('VLQ values round-trip', () => {
+  for (const value of [0, 1, -1, 15, 16, -17, 1000, -123456]) {
+    assert.deepStrictEqual(decodeVLQ(encodeVLQ(value)), [value]);
+  }
+});
+
+test('generated lines map back to the .slop line they came from', () => {
+  const source = '*/ > #json({ok: true})\n\n*/users/:id > @users[$.id] > #json';
+  const compiler = new Compiler(source, { filename: 'api.slop', onWarning: () => {} });
+  const lines = compiler.compile().split('\n');
+  const map = new SourceMapConsumer(compiler.sourceMap({ file: 'api.js' }));
+
+  const generated = lines.findIndex(line => line.includes("db.getTable('users').findById")) + 1;
+  const position = map.originalPositionFor(generated, lines[generated - 1].indexOf('await') + 1);
+  assert.deepStrictEqual(position, { source: 'api.slop', line: 3, column: 15 });
+});
+
+test('runtime stack traces point at the .slop line', () => withServer(
+  '*/ > #json({ok: true})\n\n*/boom > JSON.parse("{") > #json',
+  async app => {
+    const logged = [];
+    const { error } = console;
+    console.error = (...args) => logged.push(args);
+    try {
+      assert.strictEqual((await app.get('/boom')).status, 500);
+    } finally {
+      console.error = error;
+    }
+    const [, thrown] = logged.find(([message]) => message === 'Route error:');
+    assert.ok(thrown.stack.includes(`at ${path.join(app.dir, 'api.slop')}:3:10`), thrown.stack);
+  }
+));
+
+test('cslop build writes a source map beside its output', () => {
+  const dir = project({ 'api.slop': '*/ > #json({ok: true})' });
+  const result = cslop(['build', 'api.slop'], dir);
+  assert.strictEqual(result.status, 0, result.stderr);
+
+  assert.match(fs.readFileSync(path.join(dir, 'api.js'), 'utf8'), /\/\/# sourceMappingURL=api\.js\.map\n$/);
+  const map = JSON.parse(fs.readFileSync(path.join(dir, 'api.js.map'), 'utf8'));
+  assert.strictEqual(map.version, 3);
+  assert.deepStrictEqual(map.sources, ['api.slop']);
+  assert.strictEqual(map.file, 'api.js');
+});
+
+// Runs in a child process, which has its own Error.prepareStackTrace
+const chained = `
+const vm = require('vm');
+const { SourceMapGenerator, registerSourceMap } = require(${JSON.stringify(require.resolve('../src/sourcemap'))});
+Error.prepareStackTrace = (error, frames) => 'host: ' + frames.slice(0, 1).map(frame => frame + '').join();
+
+const map = new SourceMapGenerator({ file: 'api.slop.js', source: 'api.slop' });
+map.addMapping(1, 1, 3, 10);
+registerSourceMap('api.slop.js', map.toJSON());
+
+const host = new Error('x').stack;
+const slop = vm.runInThisContext('new Error("y")', { filename: 'api.slop.js' }).stack;
+console.log(JSON.stringify({ host, slop }));
+`;
+
+test('stack traces go through the prepareStackTrace that was there before', () => {
+  const result = spawnSync(process.execPath, ['-e', chained], { encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const { host, slop } = JSON.parse(result.stdout);
+  assert.match(host, /^host: \[eval\]:10:14$/);
+  assert.strictEqual(slop, 'host: api.slop:3:10');
+});
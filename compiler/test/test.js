@@ -0,0 +1,12 @@
+/**
+ * C-slop Tests
+ * Runs every test/*.test.js file: node test/test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(__dirname, file)));
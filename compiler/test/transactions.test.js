@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Database } = require('../src/runtime');
+const { backends, compileQuietly, diagnose, project, withServer } = require('./helpers');
+
+test('@tx{} compiles to db.transaction around its block', () => {
+  const code = compileQuietly('*/a + @tx{\n  @orders!$.body\n  @audit!{ok: true}\n} > #json');
+  assert.match(code, /const data0 = await db\.transaction\(async \(\) => \{[\s\S]*db\.getTable\('orders'\)\.insert\(\$\.body\)[\s\S]*db\.getTable\('audit'\)\.insert\(\{ok: true\}\)[\s\S]*\}\);/);
+  assert.match(diagnose('*/a > @tx > #json').errors[0], /@tx takes a block/);
+});
+
+const source = `
+@items: {
+  id: int.pk.auto
+  name: str
+  stock: int
+}
+
+*/items + @items!$.body > #json
+*/items > @items > #json
+*/audit > @audit > #json
+
+*/orders + @tx{
+  item: @items[$.body.itemId]
+  @orders!{itemId: item.id}
+  @items[item.id]!{stock: item.stock - 1}
+  @audit!{action: "order"}
+  item.stock < 1 ? #409("out of stock") : @orders.length
+} > #json({orders: _})
+`;
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: a failing @tx{} writes nothing`, () => withServer(source, { config }, async app => {
+    await app.post('/items', { name: 'pen', stock: 1 });
+
+    assert.deepStrictEqual((await app.post('/orders', { itemId: 1 })).body, { orders: 1 });
+    const refused = await app.post('/orders', { itemId: 1 });
+    assert.deepStrictEqual([refused.status, refused.body], [409, { error: 'out of stock' }]);
+    assert.strictEqual((await app.post('/orders', { itemId: 9 })).status, 404);
+
+    assert.strictEqual((await app.get('/items')).body[0].stock, 0);
+    assert.strictEqual((await app.get('/audit')).body.length, 1);
+  }));
+}
+
+test('queries outside a transaction wait for it to finish', async () => {
+  const db = new Database();
+  const notes = db.getTable('notes');
+  let release;
+  const running = db.transaction(async () => {
+    await notes.insert({ text: 'a' });
+    await new Promise(resolve => { release = resolve; });
+    throw new Error('undo');
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const outside = notes.findAll();
+  release();
+  await assert.rejects(running, /undo/);
+  assert.deepStrictEqual(await outside, []);
+});
+
+for (const [backend, config] of Object.entries(backends)) {
+  test(`${backend}: transactions started together run one after another`, async () => {
+    const { database } = typeof config === 'function' ? config(project()) : config;
+    const db = new Database();
+    db.connect(database.type, database.connection);
+    const notes = db.getTable('notes');
+
+    // Each one reads before it writes, and waits in between, so overlapping ones would see the same count
+    const add = fail => db.transaction(async () => {
+      const seen = (await notes.findAll()).length;
+      await new Promise(resolve => setImmediate(resolve));
+      await notes.insert({ seq: seen + 1 });
+      if (fail) throw new Error('undo');
+      return seen + 1;
+    });
+    const results = await Promise.allSettled([add(), add(true), add(), add()]);
+
+    assert.deepStrictEqual(results.map(result => result.value || result.reason.message), [1, 'undo', 2, 3]);
+    assert.deepStrictEqual((await notes.findAll()).map(note => note.seq), [1, 2, 3]);
+    await db.close();
+  });
+}
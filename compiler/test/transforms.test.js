@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withServer } = require('./helpers');
+
+test('>># wraps JSON responses under its prefix', () => withServer(`
+*/api/* >># {data: _, ts: now}
+*/api/users > #json([1, 2])
+*/other > #json([3])
+`, async app => {
+  const wrapped = (await app.get('/api/users')).body;
+  assert.deepStrictEqual(wrapped.data, [1, 2]);
+  assert.strictEqual(typeof wrapped.ts, 'number');
+  assert.deepStrictEqual((await app.get('/other')).body, [3]);
+}));
+
+test('transforms apply in declaration order, ** to every route', () => withServer(`
+*/api/* >># {inner: _}
+** >># {outer: _}
+*/api/x > #json(1)
+*/y > #json(2)
+`, async app => {
+  assert.deepStrictEqual((await app.get('/api/x')).body, { outer: { inner: 1 } });
+  assert.deepStrictEqual((await app.get('/y')).body, { outer: 2 });
+}));
+
+test('error responses are sent untouched', () => withServer(`
+** >># {data: _}
+*/users/:id > @users[$.id] > #json
+*/bad > #400("no")
+`, async app => {
+  assert.deepStrictEqual(await app.get('/users/1').then(r => [r.status, r.body]), [404, { error: 'users 1 not found' }]);
+  assert.deepStrictEqual(await app.get('/bad').then(r => [r.status, r.body]), [400, { error: 'no' }]);
+}));
+
+test('a transform can run pipeline stages on the body', () => withServer(`
+*/list/* >># _ >> _ * 10
+*/list/a > #json([1, 2])
+`, async app => {
+  assert.deepStrictEqual((await app.get('/list/a')).body, [10, 20]);
+}));
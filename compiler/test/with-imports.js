@@ -8,10 +8,11 @@ const {format} = require('date-fns');
 app.get('/', async (req, res) => {
   try {
     const $ = request(req);
-    res.json({message: "C-slop with imports!", date: format(Date.now(), "yyyy-MM-dd HH:mm:ss")});
+    return res.json({message: "C-slop with imports!", date: format(Date.now(), "yyyy-MM-dd HH:mm:ss")});
   } catch (error) {
-    console.error("Route error:", error);
-    res.status(500).json({ error: error.message });
+    // Named runtime errors (NotFound, AuthErr, ...) carry their own status
+    if (!error.status) console.error("Route error:", error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -20,10 +21,11 @@ app.get('/github', async (req, res) => {
   try {
     const $ = request(req);
     const result0 = await axios.get("https://api.github.com");
-    res.json(result0);
+    return res.json(result0);
   } catch (error) {
-    console.error("Route error:", error);
-    res.status(500).json({ error: error.message });
+    // Named runtime errors (NotFound, AuthErr, ...) carry their own status
+    if (!error.status) console.error("Route error:", error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -32,10 +34,11 @@ app.get('/users', async (req, res) => {
   try {
     const $ = request(req);
     const data0 = await db.users.findAll();
-    res.json(data0);
+    return res.json(data0);
   } catch (error) {
-    console.error("Route error:", error);
-    res.status(500).json({ error: error.message });
+    // Named runtime errors (NotFound, AuthErr, ...) carry their own status
+    if (!error.status) console.error("Route error:", error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -43,14 +46,29 @@ app.get('/users', async (req, res) => {
 app.post('/users', async (req, res) => {
   try {
     const $ = request(req);
-    const data0 = await db.users.insert(req.body);
-    res.json(data0);
+    const data0 = await db.users.insert($.body);
+    return res.json(data0);
   } catch (error) {
-    console.error("Route error:", error);
-    res.status(500).json({ error: error.message });
+    // Named runtime errors (NotFound, AuthErr, ...) carry their own status
+    if (!error.status) console.error("Route error:", error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+// Route files from slop.json
+await runtime.mountRoutes();
+
+// SPA fallback for client-side routing
+if (runtime.config && runtime.config.server && runtime.config.server.static) {
+  const staticPath = require("path").resolve(runtime.basePath, runtime.config.server.static);
+  const indexPath = require("path").join(staticPath, "index.html");
+  app.get("*", (req, res, next) => {
+    if (req.path.startsWith("/api") || req.path.includes(".")) return next();
+    if (require("fs").existsSync(indexPath)) res.sendFile(indexPath);
+    else next();
+  });
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {